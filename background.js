@@ -1,132 +1,1721 @@
 /*
  * background.js runs in the background on Chrome. It has access to manage the windows/tabs.
  * This will start the process to redirect the open tab into the PWA.
+ *
+ * Each redirect is tracked as a redirect session with its own id, so several Meet links opened
+ * close together are handed over to the PWA independently. Sessions are kept in
+ * chrome.storage.session and the PWA reports back on them through runtime messages. The PWA window
+ * is tracked there too, since the service worker can be torn down at any time.
  */
 
-let googleMeetWindowId;
+importScripts(
+  'meetUrl.js',
+  'rules.js',
+  'history.js',
+  'preferences.js',
+  'calendar.js',
+  'externalApi.js',
+);
 
-// clear referring state on page load
-chrome.tabs.onCreated.addListener(() => {
-  chrome.storage.local.set({
-    originatingTabId: '',
-    queryParams: '__gmInitialState',
-    source: '',
+const GOOGLE_MEET_ORIGIN = 'https://meet.google.com/';
+// how long a redirect can stay pending before it times out, e.g. while the PWA launches
+const REDIRECT_SESSION_TIMEOUT_MS = 30000;
+// how long finished sessions are kept around after they expire
+const REDIRECT_SESSION_RETENTION_MS = 10 * 60 * 1000;
+const REDIRECT_SESSION_KEY_PREFIX = 'redirectSession:';
+// joins and leaves are matched to history entries opened within this long
+const HISTORY_MATCH_WINDOW_MS = 12 * 60 * 60 * 1000;
+// chrome.storage.session key holding the Google Meet PWA's window and tab ids
+const GOOGLE_MEET_WINDOW_KEY = 'googleMeetWindow';
+// chrome.storage.session key holding the id of the popup window opened when the PWA isn't installed
+const MEET_POPUP_WINDOW_KEY = 'meetPopupWindowId';
+const MEET_POPUP_WINDOW_WIDTH = 1280;
+const MEET_POPUP_WINDOW_HEIGHT = 800;
+// chrome.storage.session key holding the ids of tabs the user chose to keep meetings in
+const KEPT_TABS_KEY = 'keptTabIds';
+// chrome.storage.session key holding the call the PWA is on, as its contentScript reports it
+const CURRENT_CALL_KEY = 'currentCall';
+// chrome.storage.local key the PWA's contentScript keeps its meeting queue under
+const MEETING_QUEUE_KEY = 'meetingQueue';
+// chrome.storage.local key holding do not disturb while it is turned on, with when it ends if timed
+const DND_KEY = 'doNotDisturb';
+// alarm turning timed do not disturb off
+const DND_ALARM = 'doNotDisturbEnd';
+// chrome.storage.session key holding the ids of queued redirect sessions a notification was shown
+// for, so closing one doesn't bring it back the next time the queue changes
+const NOTIFIED_MEETINGS_KEY = 'notifiedMeetings';
+// prefix of the ids of notifications mirroring the pending meetings tray, followed by the session id
+const MEETING_NOTIFICATION_PREFIX = 'pendingMeeting:';
+// the notification buttons, in order, as the tray actions the contentScript runs for them
+const MEETING_NOTIFICATION_ACTIONS = ['switch', 'dismiss'];
+// prefix of the alarms opening calendar meetings, followed by the meeting's id
+const CALENDAR_ALARM_PREFIX = 'calendarMeeting:';
+// alarm fetching the calendar URL again and scheduling what's coming up
+const CALENDAR_REFRESH_ALARM = 'calendarRefresh';
+const CALENDAR_REFRESH_MINUTES = 30;
+// calendar meetings are scheduled this far ahead, the refresh alarm keeps extending it
+const CALENDAR_SCHEDULE_AHEAD_MS = 24 * 60 * 60 * 1000;
+// delay before closing the originating tab once the PWA opened the meeting
+const CLOSE_ORIGINATING_TAB_DELAY_MS = 3000;
+// how often and how long to retry messaging a tab whose contentScript may not be injected yet
+const TAB_MESSAGE_RETRY_MS = 500;
+const TAB_MESSAGE_RETRIES = 10;
+
+const REDIRECT_STATES = {
+  PENDING: 'pending',
+  OPENED: 'opened',
+  DECLINED: 'declined',
+  TIMED_OUT: 'timed_out',
+  // the user chose "Use this tab instead" in the originating tab
+  KEPT_IN_TAB: 'kept_in_tab',
+};
+
+// action badge colours, see updateActionBadge
+const BADGE_COLORS = {
+  ON_CALL: '#d93025',
+  QUEUED: '#f29900',
+  NO_PWA: '#5f6368',
+  DO_NOT_DISTURB: '#8430ce',
+};
+
+// what happens to meetings opened while do not disturb is on, the dndAction preference
+const DND_ACTIONS = {
+  // handed to the PWA, which queues them without showing the tray until do not disturb ends
+  QUEUE: 'queue',
+  // left in their tab, as with "Use this tab instead"
+  STAY_IN_TAB: 'stayInTab',
+  // their tab is closed
+  DECLINE: 'decline',
+};
+
+const REDIRECT_SOURCES = {
+  LINK: 'LINK',
+  NEW_MEETING: 'NEW_MEETING',
+  // openMeeting from another extension, see externalApi.js; these sessions have no originating tab
+  EXTERNAL: 'EXTERNAL',
+};
+
+// why a redirect session opens in the account it does
+const AUTHUSER_REASONS = {
+  MEETING_CODE: 'meetingCode',
+  ORIGINATING_TAB: 'originatingTab',
+  DEFAULT: 'default',
+};
+
+// tab and target pairs whose redirect session is being created, so repeated tab updates don't race
+const startingRedirects = new Set();
+
+/**
+ * Checks whether a window (fetched with populate) is the Google Meet PWA, or the popup window
+ * standing in for it.
+ * @param {chrome.windows.Window} window - the window to check
+ * @param {number|null} popupWindowId - the popup window opened in place of the PWA, if any
+ * @returns {boolean} true if it is an app window, or that popup window, holding a single Meet tab
+ */
+function isGoogleMeetWindow(window, popupWindowId) {
+  if (!window || !window.tabs || window.tabs.length !== 1) {
+    return false;
+  }
+  // the PWA, or the popup window opened in its place when it isn't installed
+  if (window.type !== 'app' && !(window.type === 'popup' && window.id === popupWindowId)) {
+    return false;
+  }
+  const url = window.tabs[0].url || window.tabs[0].pendingUrl || '';
+  return url.startsWith(GOOGLE_MEET_ORIGIN);
+}
+
+/**
+ * Persists the Google Meet PWA window so it survives service worker restarts.
+ * @param {chrome.windows.Window|undefined|null} window - the PWA window, or nothing to clear it
+ */
+function setGoogleMeetWindow(window) {
+  chrome.storage.session.set({
+    [GOOGLE_MEET_WINDOW_KEY]: window ? { windowId: window.id, tabId: window.tabs[0].id } : null,
   });
-});
+}
 
-chrome.tabs.onUpdated.addListener((tabId, tabChangeInfo, tab) => {
-  if (tab.url && tab.url.includes('meet.google.com/new')) {
-    // Special handling if it's a "/new" URL
-    // This allows users to send follow-up slack from the PWA
-    chrome.windows.getAll({ populate: true, windowTypes: ['app'] }, function (windows) {
-      windows.forEach((window) => {
-        if (window.tabs.length === 1 && window.tabs[0].url.startsWith('https://meet.google.com/')) {
-          googleMeetWindowId = window.id;
+/**
+ * Reads the id of the popup window opened in place of the PWA.
+ * @param {function(number|null): void} callback - called with the window id, or null if there is
+ * none
+ */
+function getMeetPopupWindowId(callback) {
+  chrome.storage.session.get([MEET_POPUP_WINDOW_KEY], (items) => {
+    callback(items[MEET_POPUP_WINDOW_KEY] || null);
+  });
+}
+
+/**
+ * Looks through all app windows for the Google Meet PWA, and the popup window opened in its place,
+ * and persists what it finds.
+ * @param {function(chrome.windows.Window|undefined): void} callback - called with the PWA window
+ * or undefined when it isn't open
+ */
+function scanForGoogleMeetWindow(callback) {
+  getMeetPopupWindowId((popupWindowId) => {
+    chrome.windows.getAll({ populate: true, windowTypes: ['app', 'popup'] }, function (windows) {
+      const meetWindow = windows.find((window) => isGoogleMeetWindow(window, popupWindowId));
+      setGoogleMeetWindow(meetWindow);
+      callback(meetWindow);
+    });
+  });
+}
+
+/**
+ * Finds the open Google Meet PWA window. The persisted window is checked again before it is used,
+ * since it may have been closed or navigated away from Meet since it was stored.
+ * @param {function(chrome.windows.Window|undefined): void} callback - called with the PWA window
+ * or undefined when it isn't open
+ */
+function findGoogleMeetWindow(callback) {
+  chrome.storage.session.get([GOOGLE_MEET_WINDOW_KEY, MEET_POPUP_WINDOW_KEY], (items) => {
+    const stored = items[GOOGLE_MEET_WINDOW_KEY];
+    if (!stored) {
+      scanForGoogleMeetWindow(callback);
+      return;
+    }
+
+    chrome.windows.get(stored.windowId, { populate: true }, (window) => {
+      if (chrome.runtime.lastError || !isGoogleMeetWindow(window, items[MEET_POPUP_WINDOW_KEY])) {
+        scanForGoogleMeetWindow(callback);
+        return;
+      }
+      callback(window);
+    });
+  });
+}
+
+/**
+ * Keeps the persisted PWA window in sync as a tab in an app window loads or leaves Meet.
+ * @param {chrome.tabs.Tab} tab - the updated tab
+ */
+function trackGoogleMeetWindow(tab) {
+  chrome.windows.get(tab.windowId, { populate: true }, (window) => {
+    if (chrome.runtime.lastError || !window || (window.type !== 'app' && window.type !== 'popup')) {
+      return;
+    }
+    chrome.storage.session.get([GOOGLE_MEET_WINDOW_KEY, MEET_POPUP_WINDOW_KEY], (items) => {
+      if (isGoogleMeetWindow(window, items[MEET_POPUP_WINDOW_KEY])) {
+        setGoogleMeetWindow(window);
+        return;
+      }
+      const stored = items[GOOGLE_MEET_WINDOW_KEY];
+      if (stored && stored.windowId === window.id) {
+        setGoogleMeetWindow(null);
+      }
+    });
+  });
+}
+
+/**
+ * Finds the installed Google Meet PWA.
+ * @param {function(chrome.management.ExtensionInfo|undefined): void} callback - called with the PWA
+ * or undefined when it isn't installed
+ */
+function findInstalledMeetPwa(callback) {
+  chrome.management.getAll((apps) => {
+    callback(
+      (apps || []).find(
+        (app) =>
+          app.isApp &&
+          app.enabled &&
+          app.appLaunchUrl &&
+          app.appLaunchUrl.startsWith(GOOGLE_MEET_ORIGIN),
+      ),
+    );
+  });
+}
+
+/**
+ * Opens a popup window on Meet to stand in for the PWA when it isn't installed. It is tracked and
+ * used like the PWA window, and its contentScript runs the same in-window logic.
+ * @param {function(boolean): void} callback - called with whether the window opened
+ */
+function openMeetPopupWindow(callback) {
+  chrome.windows.create(
+    {
+      url: GOOGLE_MEET_ORIGIN,
+      type: 'popup',
+      width: MEET_POPUP_WINDOW_WIDTH,
+      height: MEET_POPUP_WINDOW_HEIGHT,
+      focused: true,
+    },
+    (window) => {
+      if (chrome.runtime.lastError || !window) {
+        console.warn('Failed to open the Meet window', chrome.runtime.lastError);
+        callback(false);
+        return;
+      }
+      chrome.storage.session.set({ [MEET_POPUP_WINDOW_KEY]: window.id }, () => {
+        setGoogleMeetWindow(window);
+        callback(true);
+      });
+    },
+  );
+}
+
+/**
+ * Sends a message to a tab, retrying while the tab's contentScript is still being injected.
+ * @param {number} tabId - the tab to message
+ * @param {object} message - the message to send
+ * @param {number} retries - remaining attempts
+ */
+function sendMessageToTab(tabId, message, retries = TAB_MESSAGE_RETRIES) {
+  chrome.tabs.sendMessage(tabId, message, () => {
+    if (chrome.runtime.lastError && retries > 0) {
+      setTimeout(() => sendMessageToTab(tabId, message, retries - 1), TAB_MESSAGE_RETRY_MS);
+    }
+  });
+}
+
+/**
+ * Loads all redirect sessions, timing out pending ones past their expiry and dropping old ones.
+ * @param {function(Array<object>): void} callback - called with the live sessions, oldest first
+ */
+function getRedirectSessions(callback) {
+  chrome.storage.session.get(null, (items) => {
+    const now = Date.now();
+    const sessions = [];
+    const updates = {};
+    const removals = [];
+
+    Object.keys(items)
+      .filter((key) => key.startsWith(REDIRECT_SESSION_KEY_PREFIX))
+      .forEach((key) => {
+        const session = items[key];
+        if (now > session.expiresAt + REDIRECT_SESSION_RETENTION_MS) {
+          removals.push(key);
+          return;
+        }
+        if (session.state === REDIRECT_STATES.PENDING && now > session.expiresAt) {
+          console.log('Redirect session timed out', session);
+          session.state = REDIRECT_STATES.TIMED_OUT;
+          updates[key] = session;
+          updateHistoryEntry(session.id, () => ({ outcome: HISTORY_OUTCOMES.TIMED_OUT }));
+          if (session.sourceTabId !== null) {
+            chrome.tabs.sendMessage(
+              session.sourceTabId,
+              { type: 'REDIRECT_ENDED', sessionId: session.id, state: session.state },
+              () => void chrome.runtime.lastError,
+            );
+          }
         }
+        sessions.push(session);
       });
 
-      if (!googleMeetWindowId) {
-        // skipping redirect since PWA isn't open
-        // we could inject a button onto the page to inform the user of this
-        return;
+    if (removals.length) {
+      chrome.storage.session.remove(removals);
+    }
+    if (Object.keys(updates).length) {
+      chrome.storage.session.set(updates);
+    }
+    callback(sessions.sort((a, b) => a.createdAt - b.createdAt));
+  });
+}
+
+/**
+ * Applies changes to a stored redirect session.
+ * @param {string} sessionId - the session to update
+ * @param {function(object): object|null} update - given the current session, returns the changes
+ * to apply, or null to leave it untouched
+ * @param {function(object|null, object|null): void} [callback] - called with the updated session
+ * (or null when nothing changed) and the session as it was before
+ */
+function updateRedirectSession(sessionId, update, callback) {
+  const key = REDIRECT_SESSION_KEY_PREFIX + sessionId;
+  chrome.storage.session.get([key], (items) => {
+    const previous = items[key];
+    const changes = previous ? update(previous) : null;
+    if (!changes) {
+      if (callback) callback(null, previous || null);
+      return;
+    }
+
+    const session = { ...previous, ...changes };
+    chrome.storage.session.set({ [key]: session }, () => {
+      if (callback) callback(session, previous);
+    });
+  });
+}
+
+/**
+ * Reads a meeting's title from its tab, when Meet shows one rather than just the meeting code.
+ * @param {chrome.tabs.Tab} tab - the tab the meeting was opened in
+ * @returns {string|null} the title, or null if it isn't known
+ */
+function getMeetingTitle(tab) {
+  const title = (tab.title || '').replace(/^(Google )?Meet\s*[-–]\s*/, '').trim();
+  if (!title || title === 'Google Meet' || MEETING_CODE_REGEX.test(title) || title.includes('/')) {
+    return null;
+  }
+  return title;
+}
+
+/**
+ * Records a new history entry for a redirect session and drops the oldest entries past the limit.
+ * @param {object} session - the redirect session
+ * @param {string|null} outcome - one of HISTORY_OUTCOMES, or null while it's still undecided
+ */
+function addHistoryEntry(session, outcome) {
+  const entry = {
+    id: session.id,
+    meetingCode: getMeetingCode(session.target),
+    title: session.title,
+    source: session.source,
+    link: session.requestedTarget,
+    authUser: session.authUser,
+    outcome,
+    openedAt: session.createdAt,
+    joinedAt: null,
+    leftAt: null,
+    durationMs: null,
+  };
+  chrome.storage.local.set({ [HISTORY_KEY_PREFIX + entry.id]: entry }, () => {
+    getHistoryEntries((entries) => {
+      if (entries.length > MAX_HISTORY_ENTRIES) {
+        chrome.storage.local.remove(
+          entries.slice(MAX_HISTORY_ENTRIES).map((old) => HISTORY_KEY_PREFIX + old.id),
+        );
       }
+    });
+  });
+}
 
-      // only attempt a redirect when not the PWA
-      if (tab.windowId !== googleMeetWindowId) {
-        chrome.scripting.executeScript(
-          {
-            target: { tabId: tab.id },
-            injectImmediately: true,
-            func: () => {
-              window.stop();
-            },
+/**
+ * Applies changes to a stored history entry.
+ * @param {string} entryId - the entry to update, which shares its id with the redirect session
+ * @param {function(object): object|null} update - given the current entry, returns the changes to
+ * apply, or null to leave it untouched
+ */
+function updateHistoryEntry(entryId, update) {
+  const key = HISTORY_KEY_PREFIX + entryId;
+  chrome.storage.local.get([key], (items) => {
+    const changes = items[key] ? update(items[key]) : null;
+    if (changes) {
+      chrome.storage.local.set({ [key]: { ...items[key], ...changes } });
+    }
+  });
+}
+
+/**
+ * Records that the PWA joined a meeting on the latest switched history entry for it, or on a new
+ * entry when the meeting was joined in the PWA directly.
+ * @param {string} meetingCode - the meeting that was joined
+ */
+function recordCallJoined(meetingCode) {
+  const now = Date.now();
+  getHistoryEntries((entries) => {
+    const entry = entries.find(
+      (entry) =>
+        entry.meetingCode === meetingCode &&
+        entry.outcome === HISTORY_OUTCOMES.SWITCHED &&
+        !entry.joinedAt &&
+        now - entry.openedAt < HISTORY_MATCH_WINDOW_MS,
+    );
+    if (entry) {
+      updateHistoryEntry(entry.id, () => ({ joinedAt: now }));
+      return;
+    }
+
+    const id = crypto.randomUUID();
+    chrome.storage.local.set({
+      [HISTORY_KEY_PREFIX + id]: {
+        id,
+        meetingCode,
+        title: null,
+        source: HISTORY_SOURCE_DIRECT,
+        link: meetingCode,
+        authUser: null,
+        outcome: HISTORY_OUTCOMES.JOINED_DIRECTLY,
+        openedAt: now,
+        joinedAt: now,
+        leftAt: null,
+        durationMs: null,
+      },
+    });
+  });
+}
+
+/**
+ * Records that the PWA left a meeting, with the call duration, on history entries still on it and
+ * as the last call.
+ * @param {string|null} meetingCode - the meeting that was left, or null for any meeting
+ * @param {number} [leftAt] - when the call ended, defaults to now
+ */
+function recordCallLeft(meetingCode, leftAt = Date.now()) {
+  getHistoryEntries((entries) => {
+    entries
+      .filter(
+        (entry) =>
+          (!meetingCode || entry.meetingCode === meetingCode) && entry.joinedAt && !entry.leftAt,
+      )
+      .forEach((entry) => {
+        const durationMs = leftAt - entry.joinedAt;
+        updateHistoryEntry(entry.id, () => ({ leftAt, durationMs }));
+        chrome.storage.local.set({
+          lastCall: {
+            meetingCode: entry.meetingCode,
+            joinedAt: entry.joinedAt,
+            leftAt,
+            durationMs,
           },
-          function () {
-            const queryParameters = tab.url.split('/')[3];
-            chrome.storage.local.set({
-              originatingTabId: tabId,
-              queryParams: queryParameters,
-              source: 'NEW_MEETING',
+        });
+      });
+  });
+}
+
+/**
+ * Keeps track of the call the PWA is on, for the action badge and the popup's status panel.
+ * @param {string} meetingCode - the meeting that was joined
+ */
+function setCurrentCall(meetingCode) {
+  chrome.storage.session.set({ [CURRENT_CALL_KEY]: { meetingCode, joinedAt: Date.now() } });
+}
+
+/**
+ * Forgets the call the PWA was on once it leaves it.
+ * @param {string|null} meetingCode - the meeting that was left, or null for any meeting
+ */
+function clearCurrentCall(meetingCode) {
+  chrome.storage.session.get([CURRENT_CALL_KEY], (items) => {
+    const call = items[CURRENT_CALL_KEY];
+    if (call && (!meetingCode || call.meetingCode === meetingCode)) {
+      chrome.storage.session.remove(CURRENT_CALL_KEY);
+    }
+  });
+}
+
+/**
+ * Clicks the leave call button in the PWA.
+ * @param {function({success: boolean, reason?: string}): void} callback - called with whether
+ * the call was left, or why not: 'PWA_NOT_OPEN' or 'NOT_ON_CALL'
+ */
+function leaveCall(callback) {
+  findGoogleMeetWindow((meetWindow) => {
+    if (!meetWindow) {
+      callback({ success: false, reason: 'PWA_NOT_OPEN' });
+      return;
+    }
+    chrome.tabs.sendMessage(
+      meetWindow.tabs[0].id,
+      { type: 'RUN_COMMAND', command: 'leave-call' },
+      (response) => {
+        void chrome.runtime.lastError;
+        callback(
+          response && response.success
+            ? { success: true }
+            : { success: false, reason: 'NOT_ON_CALL' },
+        );
+      },
+    );
+  });
+}
+
+/**
+ * Works out whether do not disturb is on, either turned on by the user or because the PWA is on a
+ * call and dndDuringCalls is set.
+ * @param {function(object): void} callback - called with `active`, `enabled` (turned on by the
+ * user), `until` (when that ends, or null when it lasts until turned off), `duringCall` (on
+ * because of the call) and `action`, one of DND_ACTIONS
+ */
+function getDoNotDisturb(callback) {
+  chrome.storage.session.get([CURRENT_CALL_KEY], (session) => {
+    getPreferences([DND_KEY, 'dndAction', 'dndDuringCalls'], (res) => {
+      const dnd = res[DND_KEY];
+      // the alarm may not have gone off yet, e.g. while the browser was closed
+      const enabled = !!dnd && (!dnd.until || dnd.until > Date.now());
+      const duringCall = res.dndDuringCalls && !!session[CURRENT_CALL_KEY];
+      callback({
+        active: enabled || duringCall,
+        enabled,
+        until: enabled ? dnd.until : null,
+        duringCall,
+        action: res.dndAction,
+      });
+    });
+  });
+}
+
+/**
+ * Turns do not disturb on or off.
+ * @param {boolean} enabled - whether to turn it on
+ * @param {number|null} minutes - how long it stays on, or null until it's turned off
+ * @param {function(): void} [callback] - called once saved
+ */
+function setDoNotDisturb(enabled, minutes, callback) {
+  const done = () => callback && callback();
+  if (!enabled) {
+    chrome.alarms.clear(DND_ALARM);
+    chrome.storage.local.remove(DND_KEY, done);
+    return;
+  }
+  const until = minutes ? Date.now() + minutes * 60 * 1000 : null;
+  if (until) {
+    chrome.alarms.create(DND_ALARM, { when: until });
+  } else {
+    chrome.alarms.clear(DND_ALARM);
+  }
+  chrome.storage.local.set({ [DND_KEY]: { until } }, done);
+}
+
+/**
+ * Lets the PWA show the meetings it queued quietly, once do not disturb is no longer on.
+ */
+function notifyDoNotDisturbEnded() {
+  getDoNotDisturb(({ active }) => {
+    if (active) {
+      return;
+    }
+    findGoogleMeetWindow((meetWindow) => {
+      if (meetWindow) {
+        chrome.tabs.sendMessage(
+          meetWindow.tabs[0].id,
+          { type: 'DND_ENDED' },
+          () => void chrome.runtime.lastError,
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Gathers what the action badge and the popup's status panel show.
+ * @param {function(object): void} callback - called with the status: `meetWindow` (its window and
+ * tab ids and whether it is the PWA or the popup window standing in for it, or null when neither
+ * is open), `call` (the meeting code and join time, or null when not on a call), `queuedCount`,
+ * `pendingHandoff` (the newest redirect session still waiting on the PWA, or null) and
+ * `doNotDisturb` as getDoNotDisturb reports it
+ */
+function getMeetStatus(callback) {
+  findGoogleMeetWindow((meetWindow) => {
+    chrome.storage.session.get([CURRENT_CALL_KEY], (session) => {
+      chrome.storage.local.get([MEETING_QUEUE_KEY], (local) => {
+        getRedirectSessions((sessions) => {
+          getDoNotDisturb((doNotDisturb) => {
+            const pending = sessions.filter((item) => item.state === REDIRECT_STATES.PENDING).pop();
+            callback({
+              meetWindow: meetWindow
+                ? { windowId: meetWindow.id, tabId: meetWindow.tabs[0].id, type: meetWindow.type }
+                : null,
+              call: (meetWindow && session[CURRENT_CALL_KEY]) || null,
+              queuedCount: (local[MEETING_QUEUE_KEY] || []).length,
+              pendingHandoff: pending
+                ? {
+                    id: pending.id,
+                    meetingCode: getMeetingCode(pending.target),
+                    title: pending.title,
+                    createdAt: pending.createdAt,
+                  }
+                : null,
+              doNotDisturb,
             });
-          },
+          });
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Shows the current state on the action badge: the number of queued meetings when there are any,
+ * "ON" while on a call without any, "DND" while do not disturb is on otherwise, and "OFF" when no
+ * Meet window is open. The tooltip spells out all of it.
+ */
+function updateActionBadge() {
+  getMeetStatus(({ meetWindow, call, queuedCount, pendingHandoff, doNotDisturb }) => {
+    let text = '';
+    let color = BADGE_COLORS.NO_PWA;
+    if (!meetWindow) {
+      text = 'OFF';
+    } else if (queuedCount) {
+      text = String(queuedCount);
+      color = call ? BADGE_COLORS.ON_CALL : BADGE_COLORS.QUEUED;
+    } else if (call) {
+      text = 'ON';
+      color = BADGE_COLORS.ON_CALL;
+    } else if (doNotDisturb.active) {
+      text = 'DND';
+      color = BADGE_COLORS.DO_NOT_DISTURB;
+    }
+
+    const title = ['SpeedyMeet'];
+    title.push(meetWindow ? 'Google Meet PWA open' : 'Google Meet PWA not open');
+    if (call) title.push(`On a call: ${call.meetingCode}`);
+    if (queuedCount)
+      title.push(`${queuedCount} queued ${queuedCount === 1 ? 'meeting' : 'meetings'}`);
+    if (pendingHandoff) title.push(`Opening ${pendingHandoff.meetingCode || 'a meeting'}`);
+    if (doNotDisturb.until) {
+      const until = new Date(doNotDisturb.until).toLocaleTimeString([], {
+        hour: '2-digit',
+        minute: '2-digit',
+      });
+      title.push(`Do not disturb until ${until}`);
+    } else if (doNotDisturb.active) {
+      title.push(doNotDisturb.enabled ? 'Do not disturb' : 'Do not disturb while on a call');
+    }
+
+    chrome.action.setBadgeText({ text });
+    chrome.action.setBadgeBackgroundColor({ color });
+    chrome.action.setTitle({ title: title.join('\n') });
+  });
+}
+
+/**
+ * Mirrors the pending meetings tray as desktop notifications, so meetings arriving while the PWA
+ * is minimized or behind other windows aren't missed. Queued meetings get a notification when
+ * they arrive, come back from a snooze or are let out once do not disturb ends while the PWA
+ * isn't focused; notifications of meetings that left the tray, or were snoozed, are cleared.
+ * @param {Array<object>} queue - the meeting queue as the PWA's contentScript stored it
+ */
+function syncMeetingNotifications(queue) {
+  const now = Date.now();
+  const visible = queue.filter(
+    (item) => !item.held && (!item.snoozedUntil || item.snoozedUntil <= now),
+  );
+  const visibleIds = visible.map((item) => item.session.id);
+
+  findGoogleMeetWindow((meetWindow) => {
+    // no need when the tray is in plain sight, and no point without a PWA to act on
+    const trayInSight = !meetWindow || (meetWindow.focused && meetWindow.state !== 'minimized');
+
+    chrome.storage.session.get([NOTIFIED_MEETINGS_KEY], (items) => {
+      const notified = items[NOTIFIED_MEETINGS_KEY] || [];
+      notified
+        .filter((sessionId) => !visibleIds.includes(sessionId))
+        .forEach((sessionId) =>
+          chrome.notifications.clear(MEETING_NOTIFICATION_PREFIX + sessionId),
         );
+
+      const toNotify = trayInSight
+        ? []
+        : visible.filter((item) => !notified.includes(item.session.id));
+      toNotify.forEach((item) => {
+        const meetingCode = getMeetingCode(item.session.target);
+        chrome.notifications.create(MEETING_NOTIFICATION_PREFIX + item.session.id, {
+          type: 'basic',
+          iconUrl: 'assets/ext-icon.png',
+          title: 'Pending meeting',
+          message: item.session.title
+            ? `${item.session.title} (${meetingCode})`
+            : meetingCode || 'New meeting',
+          contextMessage: 'Arrived while you were on a call',
+          buttons: [{ title: 'Switch' }, { title: 'Dismiss' }],
+          requireInteraction: true,
+        });
+      });
+
+      chrome.storage.session.set({
+        [NOTIFIED_MEETINGS_KEY]: [
+          ...notified.filter((sessionId) => visibleIds.includes(sessionId)),
+          ...toNotify.map((item) => item.session.id),
+        ],
+      });
+    });
+  });
+}
+
+/**
+ * Runs a tray action picked on a pending meeting notification in the PWA, where the tray's own
+ * buttons would have run it.
+ * @param {string} sessionId - the queued redirect session
+ * @param {string} action - one of MEETING_NOTIFICATION_ACTIONS
+ */
+function runQueuedMeetingAction(sessionId, action) {
+  chrome.notifications.clear(MEETING_NOTIFICATION_PREFIX + sessionId);
+  findGoogleMeetWindow((meetWindow) => {
+    if (!meetWindow) {
+      console.log('Ignoring notification action, Google Meet PWA is not open:', action);
+      return;
+    }
+    if (action === 'switch') {
+      chrome.windows.update(meetWindow.id, { focused: true });
+    }
+    chrome.tabs.sendMessage(
+      meetWindow.tabs[0].id,
+      { type: 'QUEUED_MEETING_ACTION', sessionId, action },
+      () => {
+        if (chrome.runtime.lastError) {
+          console.warn('Failed to send notification action to PWA:', chrome.runtime.lastError);
+        }
+      },
+    );
+  });
+}
+
+/**
+ * Stores the events of an ICS calendar and schedules its meetings, replacing any calendar
+ * imported before.
+ * @param {string} text - the ICS file
+ * @param {{name: string, url?: string}} source - where the calendar came from, shown in the popup
+ * @param {function(object): void} [callback] - called with `success` and either the number of
+ * events with a Meet link as `count` or an `error`
+ */
+function importCalendar(text, source, callback) {
+  const events = parseIcs(text);
+  if (!events) {
+    if (callback) callback({ success: false, error: 'Not an ICS calendar' });
+    return;
+  }
+  chrome.storage.local.set(
+    {
+      [CALENDAR_EVENTS_KEY]: events,
+      [CALENDAR_SOURCE_KEY]: { ...source, importedAt: Date.now() },
+    },
+    () => {
+      console.log(`Imported ${events.length} calendar events with a Meet link from`, source.name);
+      scheduleCalendarMeetings();
+      if (callback) callback({ success: true, count: events.length });
+    },
+  );
+}
+
+/**
+ * Fetches the calendar at the calendar URL preference and imports it.
+ * @param {function(object): void} [callback] - called like importCalendar's callback
+ */
+function refreshCalendar(callback) {
+  getPreferences(['calendarUrl'], (res) => {
+    if (!res.calendarUrl) {
+      if (callback) callback({ success: false, error: 'No calendar URL set' });
+      return;
+    }
+    fetch(res.calendarUrl, { cache: 'no-store' })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`The calendar URL returned ${response.status}`);
+        }
+        return response.text();
+      })
+      .then((text) =>
+        importCalendar(text, { name: res.calendarUrl, url: res.calendarUrl }, callback),
+      )
+      .catch((error) => {
+        console.warn('Failed to fetch calendar:', error);
+        if (callback) callback({ success: false, error: error.message });
+      });
+  });
+}
+
+/**
+ * Sets an alarm ahead of each calendar meeting starting within CALENDAR_SCHEDULE_AHEAD_MS, and
+ * clears the alarms of meetings no longer on the calendar.
+ */
+function scheduleCalendarMeetings() {
+  getPreferences([CALENDAR_EVENTS_KEY, 'calendarLeadMinutes'], (res) => {
+    const leadMs = res.calendarLeadMinutes * 60 * 1000;
+    const now = Date.now();
+    const meetings = getUpcomingMeetings(
+      res[CALENDAR_EVENTS_KEY] || [],
+      now + leadMs,
+      now + leadMs + CALENDAR_SCHEDULE_AHEAD_MS,
+    );
+    const alarmNames = meetings.map((meeting) => CALENDAR_ALARM_PREFIX + meeting.id);
+
+    chrome.alarms.getAll((alarms) => {
+      alarms
+        .filter(({ name }) => name.startsWith(CALENDAR_ALARM_PREFIX) && !alarmNames.includes(name))
+        .forEach(({ name }) => chrome.alarms.clear(name));
+      meetings.forEach((meeting) => {
+        chrome.alarms.create(CALENDAR_ALARM_PREFIX + meeting.id, { when: meeting.start - leadMs });
+      });
+    });
+  });
+}
+
+/**
+ * Opens a calendar meeting whose alarm went off. It is opened in a new tab, which the usual
+ * redirect then hands over to the PWA, where auto-join applies as for any other link.
+ * @param {string} meetingId - the meeting, as listed by getUpcomingMeetings
+ */
+function openCalendarMeeting(meetingId) {
+  chrome.storage.local.get([CALENDAR_EVENTS_KEY], (res) => {
+    const now = Date.now();
+    // checked again, in case the meeting was cancelled or moved since the alarm was set
+    const meeting = getUpcomingMeetings(
+      res[CALENDAR_EVENTS_KEY] || [],
+      now - CALENDAR_REFRESH_MINUTES * 60 * 1000,
+      now + CALENDAR_SCHEDULE_AHEAD_MS,
+    ).find((upcoming) => upcoming.id === meetingId);
+    if (!meeting) {
+      console.log('Scheduled meeting is no longer on the calendar:', meetingId);
+      return;
+    }
+    console.log('Opening scheduled meeting', meeting);
+    // the PWA comes to the front, the tab only passes the meeting on
+    chrome.tabs.create({ url: GOOGLE_MEET_ORIGIN + meeting.target, active: false });
+  });
+}
+
+/**
+ * Makes sure the calendar refresh alarm is set, without restarting its period.
+ */
+function ensureCalendarRefreshAlarm() {
+  chrome.alarms.get(CALENDAR_REFRESH_ALARM, (alarm) => {
+    if (!alarm) {
+      chrome.alarms.create(CALENDAR_REFRESH_ALARM, { periodInMinutes: CALENDAR_REFRESH_MINUTES });
+    }
+  });
+}
+
+/**
+ * Picks the Google account a meeting opens in. Meeting-code routes from the popup come first, then
+ * (unless turned off) the account the originating tab was on, either from the authuser on the
+ * Meet link itself or from the tab that opened it, and finally the default account.
+ * @param {chrome.tabs.Tab} tab - the tab the meeting was opened in
+ * @param {string} target - the meeting path and query as opened in the tab
+ * @param {function({authUser: string, reason: string}): void} callback - called with the account
+ * index and one of AUTHUSER_REASONS
+ */
+function resolveAuthUser(tab, target, callback) {
+  getPreferences(['defaultAuthUser', 'preserveOriginatingAccount', 'accountRoutes'], (res) => {
+    const meetingCode = getMeetingCode(target);
+    const route =
+      meetingCode &&
+      res.accountRoutes.find((route) => parseMeetingCodes(route.codes).includes(meetingCode));
+    if (route) {
+      callback({ authUser: route.authUser, reason: AUTHUSER_REASONS.MEETING_CODE });
+      return;
+    }
+
+    const useDefault = () =>
+      callback({ authUser: res.defaultAuthUser, reason: AUTHUSER_REASONS.DEFAULT });
+    if (res.preserveOriginatingAccount === false) {
+      useDefault();
+      return;
+    }
+
+    const linkAuthUser = getAuthUser(target);
+    if (linkAuthUser !== null) {
+      callback({ authUser: linkAuthUser, reason: AUTHUSER_REASONS.ORIGINATING_TAB });
+      return;
+    }
+    if (tab.openerTabId === undefined) {
+      useDefault();
+      return;
+    }
+    chrome.tabs.get(tab.openerTabId, (opener) => {
+      const openerAuthUser =
+        !chrome.runtime.lastError && opener ? getGoogleAccountIndex(opener.url || '') : null;
+      if (openerAuthUser === null) {
+        useDefault();
+        return;
       }
+      callback({ authUser: openerAuthUser, reason: AUTHUSER_REASONS.ORIGINATING_TAB });
     });
-  } else if (
-    tabChangeInfo.status === 'complete' &&
-    tab.url &&
-    tab.url.includes('meet.google.com')
-  ) {
-    // find Google Meet PWA window id
-    chrome.windows.getAll({ populate: true, windowTypes: ['app'] }, function (windows) {
-      windows.forEach((window) => {
-        if (window.tabs.length === 1 && window.tabs[0].url.startsWith('https://meet.google.com/')) {
-          googleMeetWindowId = window.id;
+  });
+}
+
+/**
+ * Starts a redirect session for a Meet tab and hands it to the PWA, launching the PWA when it
+ * isn't open. Tabs that already have a live session for the same meeting are skipped. While do not
+ * disturb is on, meeting links are queued quietly, left in their tab or declined instead, as the
+ * dndAction preference says.
+ * @param {chrome.tabs.Tab} tab - the tab the meeting was opened in
+ * @param {string} target - the meeting path and query as opened in the tab
+ * @param {string} source - one of REDIRECT_SOURCES
+ * @param {function(boolean): void} [callback] - called with whether the PWA is taking the meeting,
+ * not called when the tab already has a session
+ */
+function startRedirectSession(tab, target, source, callback) {
+  const startingKey = tab.id + '|' + target;
+  if (startingRedirects.has(startingKey)) {
+    return;
+  }
+  startingRedirects.add(startingKey);
+
+  getRedirectSessions((sessions) => {
+    const existing = sessions.find(
+      (session) =>
+        session.sourceTabId === tab.id &&
+        session.requestedTarget === target &&
+        (session.state === REDIRECT_STATES.PENDING || session.state === REDIRECT_STATES.OPENED),
+    );
+    if (existing) {
+      startingRedirects.delete(startingKey);
+      return;
+    }
+
+    resolveAuthUser(tab, target, ({ authUser, reason }) => {
+      const now = Date.now();
+      const session = {
+        id: crypto.randomUUID(),
+        sourceTabId: tab.id,
+        requestedTarget: target,
+        target: setAuthUser(target, authUser),
+        authUser,
+        authUserReason: reason,
+        title: getMeetingTitle(tab),
+        source,
+        state: REDIRECT_STATES.PENDING,
+        createdAt: now,
+        expiresAt: now + REDIRECT_SESSION_TIMEOUT_MS,
+      };
+      const key = REDIRECT_SESSION_KEY_PREFIX + session.id;
+
+      getDoNotDisturb(({ active, action }) => {
+        // meetings the user starts, and the landing page, aren't incoming meetings
+        const dndAction =
+          active && source === REDIRECT_SOURCES.LINK && getMeetingCode(target) ? action : null;
+        if (dndAction === DND_ACTIONS.STAY_IN_TAB || dndAction === DND_ACTIONS.DECLINE) {
+          startingRedirects.delete(startingKey);
+          keepOutForDoNotDisturb(session, dndAction);
+          if (callback) callback(false);
+          return;
         }
+        session.quiet = dndAction === DND_ACTIONS.QUEUE;
+
+        chrome.storage.session.set({ [key]: session }, () => {
+          // time the session out even if nothing else wakes us up before it expires
+          setTimeout(() => getRedirectSessions(() => {}), REDIRECT_SESSION_TIMEOUT_MS + 1000);
+
+          dispatchRedirectSession(session, (accepted) => {
+            startingRedirects.delete(startingKey);
+            addHistoryEntry(session, accepted ? null : HISTORY_OUTCOMES.PWA_NOT_INSTALLED);
+            if (!accepted) {
+              chrome.storage.session.remove(key);
+            } else if (source !== REDIRECT_SOURCES.NEW_MEETING) {
+              sendMessageToTab(tab.id, { type: 'REDIRECT_STARTED', sessionId: session.id });
+            }
+            if (callback) callback(accepted);
+          });
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Keeps a meeting link out of the PWA because do not disturb is on, recording it in the history.
+ * @param {object} session - the redirect session that would have been started, never stored
+ * @param {string} dndAction - DND_ACTIONS.STAY_IN_TAB to leave the meeting in its tab, without the
+ * redirect overlay, or DND_ACTIONS.DECLINE to close the tab
+ */
+function keepOutForDoNotDisturb(session, dndAction) {
+  if (dndAction === DND_ACTIONS.STAY_IN_TAB) {
+    console.log('Do not disturb is on, leaving meeting in tab', session.sourceTabId);
+    keepTab(session.sourceTabId);
+    addHistoryEntry(session, HISTORY_OUTCOMES.DND_KEPT_IN_TAB);
+  } else {
+    console.log('Do not disturb is on, declining meeting in tab', session.sourceTabId);
+    addHistoryEntry(session, HISTORY_OUTCOMES.DND_DECLINED);
+    chrome.tabs.remove(session.sourceTabId, () => void chrome.runtime.lastError);
+  }
+}
+
+/**
+ * Hands a meeting requested through the external API to the PWA. Unlike startRedirectSession
+ * there is no originating tab, so the session is dispatched straight away.
+ * @param {string} target - the meeting path and query
+ * @param {{authUser: string|null, overrides: object, quiet: boolean}} options - the account to
+ * open the meeting in, or null to pick it as for a link, settings overriding those of the
+ * meeting's rule, and whether do not disturb has the PWA queue it quietly
+ * @param {function(object|null): void} callback - called with the session, or null when the PWA
+ * isn't there to take it
+ */
+function startExternalRedirectSession(target, { authUser, overrides, quiet }, callback) {
+  // no tab to take the account from, so a route or the default account it is
+  resolveAuthUser({}, target, (resolved) => {
+    const now = Date.now();
+    const account = authUser !== null ? authUser : resolved.authUser;
+    const session = {
+      id: crypto.randomUUID(),
+      sourceTabId: null,
+      requestedTarget: target,
+      target: setAuthUser(target, account),
+      authUser: account,
+      authUserReason: authUser !== null ? null : resolved.reason,
+      title: null,
+      source: REDIRECT_SOURCES.EXTERNAL,
+      overrides,
+      quiet,
+      state: REDIRECT_STATES.PENDING,
+      createdAt: now,
+      expiresAt: now + REDIRECT_SESSION_TIMEOUT_MS,
+    };
+    const key = REDIRECT_SESSION_KEY_PREFIX + session.id;
+
+    chrome.storage.session.set({ [key]: session }, () => {
+      setTimeout(() => getRedirectSessions(() => {}), REDIRECT_SESSION_TIMEOUT_MS + 1000);
+      dispatchRedirectSession(session, (accepted) => {
+        addHistoryEntry(session, accepted ? null : HISTORY_OUTCOMES.PWA_NOT_INSTALLED);
+        if (!accepted) {
+          chrome.storage.session.remove(key);
+        }
+        callback(accepted ? session : null);
+      });
+    });
+  });
+}
+
+/**
+ * Sends a redirect session to the open PWA, or launches the PWA so it can pick the session up once
+ * its contentScript reports it is ready.
+ * @param {object} session - the pending redirect session
+ * @param {function(boolean): void} callback - called with whether the PWA is taking the meeting
+ */
+function dispatchRedirectSession(session, callback) {
+  findGoogleMeetWindow((meetWindow) => {
+    if (meetWindow) {
+      chrome.tabs.sendMessage(meetWindow.tabs[0].id, { type: 'REDIRECT_REQUEST', session }, () => {
+        if (chrome.runtime.lastError) {
+          // the PWA is still loading, it will ask for pending sessions once it is ready
+          console.log('PWA not ready for redirect session', session.id);
+        }
+      });
+      callback(true);
+      return;
+    }
+
+    findInstalledMeetPwa((pwa) => {
+      if (pwa) {
+        chrome.management.launchApp(pwa.id, () => {
+          console.log('Launched Google Meet PWA for redirect session', session.id);
+          callback(true);
+        });
+        return;
+      }
+
+      const stayInTab = () => {
+        console.log(
+          'Google Meet PWA is not installed, leaving meeting in tab',
+          session.sourceTabId,
+        );
+        if (session.sourceTabId !== null) {
+          sendMessageToTab(session.sourceTabId, { type: 'PWA_NOT_INSTALLED' });
+        }
+        callback(false);
+      };
+      getPreferences(['meetWindowFallback'], (res) => {
+        if (!res.meetWindowFallback) {
+          stayInTab();
+          return;
+        }
+        // like a launched PWA, the window asks for the session once its contentScript is ready
+        openMeetPopupWindow((opened) => {
+          if (!opened) {
+            stayInTab();
+            return;
+          }
+          console.log('Opened Meet window for redirect session', session.id);
+          callback(true);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Marks a redirect session as opened by the PWA, focuses the PWA and closes the originating tab.
+ * @param {string} sessionId - the session the PWA opened
+ * @param {boolean} alertShown - whether the PWA is asking the user first with the next meeting
+ * alert, rather than switching to the meeting
+ */
+function handleRedirectOpened(sessionId, alertShown) {
+  updateHistoryEntry(sessionId, () => ({
+    outcome: alertShown ? HISTORY_OUTCOMES.IGNORED : HISTORY_OUTCOMES.SWITCHED,
+  }));
+
+  updateRedirectSession(
+    sessionId,
+    (session) =>
+      session.state === REDIRECT_STATES.PENDING
+        ? { state: REDIRECT_STATES.OPENED, openedAt: Date.now() }
+        : null,
+    (session) => {
+      if (!session) {
+        return;
+      }
+
+      findGoogleMeetWindow((meetWindow) => {
+        if (!meetWindow) {
+          // keep the originating tab, it's the only place the meeting is still open
+          console.log('PWA window closed before redirect session could finish', session.id);
+          return;
+        }
+
+        // bring Google Meet PWA into focus, unless do not disturb had it queue the meeting quietly
+        chrome.windows.update(meetWindow.id, session.quiet ? {} : { focused: true }, function () {
+          // close the tab that originally started the process if it wasn't the landing page
+          const timeout =
+            session.source === REDIRECT_SOURCES.NEW_MEETING ? 0 : CLOSE_ORIGINATING_TAB_DELAY_MS;
+          setTimeout(function () {
+            if (session.requestedTarget === '' || session.sourceTabId === null) {
+              return;
+            }
+            // the user may have chosen to keep the tab in the meantime
+            getRedirectSessions((sessions) => {
+              const current = sessions.find((s) => s.id === session.id);
+              if (current && current.state === REDIRECT_STATES.OPENED) {
+                chrome.tabs.remove(session.sourceTabId, () => void chrome.runtime.lastError);
+              }
+            });
+          }, timeout);
+        });
       });
+    },
+  );
+}
+
+/**
+ * Marks a redirect session as declined from the PWA and lets the originating tab know.
+ * @param {string} sessionId - the session the user declined
+ */
+function handleRedirectDeclined(sessionId) {
+  updateHistoryEntry(sessionId, () => ({ outcome: HISTORY_OUTCOMES.DECLINED }));
+
+  updateRedirectSession(
+    sessionId,
+    (session) =>
+      session.state === REDIRECT_STATES.PENDING || session.state === REDIRECT_STATES.OPENED
+        ? { state: REDIRECT_STATES.DECLINED, declinedAt: Date.now() }
+        : null,
+    (session) => {
+      if (!session || session.sourceTabId === null) {
+        return;
+      }
+      chrome.tabs.sendMessage(
+        session.sourceTabId,
+        { type: 'REDIRECT_ENDED', sessionId, state: session.state },
+        () => void chrome.runtime.lastError,
+      );
+    },
+  );
+}
+
+/**
+ * Cancels a redirect session because the user chose to stay in the originating tab, and stops
+ * redirecting that tab for as long as it stays open. The PWA drops the meeting from its queue.
+ * @param {string} sessionId - the session the user cancelled
+ * @param {number} tabId - the originating tab
+ */
+function handleRedirectKeptInTab(sessionId, tabId) {
+  keepTab(tabId);
 
-      if (!googleMeetWindowId) {
-        // skipping redirect since PWA isn't open
-        // we could inject a button onto the page to inform the user of this
+  updateRedirectSession(
+    sessionId,
+    (session) =>
+      session.state === REDIRECT_STATES.PENDING || session.state === REDIRECT_STATES.OPENED
+        ? { state: REDIRECT_STATES.KEPT_IN_TAB, keptAt: Date.now() }
+        : null,
+    (session) => {
+      if (!session) {
         return;
       }
+      updateHistoryEntry(sessionId, () => ({ outcome: HISTORY_OUTCOMES.KEPT_IN_TAB }));
+      findGoogleMeetWindow((meetWindow) => {
+        if (meetWindow) {
+          chrome.tabs.sendMessage(
+            meetWindow.tabs[0].id,
+            { type: 'REDIRECT_CANCELLED', session },
+            () => void chrome.runtime.lastError,
+          );
+        }
+      });
+    },
+  );
+}
+
+/**
+ * Stops redirecting a tab for as long as it stays open.
+ * @param {number} tabId - the tab to keep meetings in
+ */
+function keepTab(tabId) {
+  chrome.storage.session.get([KEPT_TABS_KEY], (items) => {
+    const keptTabIds = items[KEPT_TABS_KEY] || [];
+    if (!keptTabIds.includes(tabId)) {
+      chrome.storage.session.set({ [KEPT_TABS_KEY]: [...keptTabIds, tabId] });
+    }
+  });
+}
+
+/**
+ * Checks whether a Meet tab should be left alone: either the user chose to keep meetings in it, or
+ * its URL is on the exclusion list.
+ * @param {chrome.tabs.Tab} tab - the tab about to be redirected
+ * @param {function(boolean): void} callback - called with true if the tab must not be redirected
+ */
+function isRedirectExcluded(tab, callback) {
+  chrome.storage.session.get([KEPT_TABS_KEY], (items) => {
+    if ((items[KEPT_TABS_KEY] || []).includes(tab.id)) {
+      console.log('Not redirecting tab the user chose to keep', tab.id);
+      callback(true);
+      return;
+    }
+    getPreferences(['redirectExclusions'], (res) => {
+      const exclusion = findRedirectExclusion(res.redirectExclusions, tab.url);
+      if (exclusion) {
+        console.log('Not redirecting excluded page', tab.url, 'matched', exclusion);
+      }
+      callback(!!exclusion);
+    });
+  });
+}
+
+// upgrade preferences stored by older versions
+chrome.runtime.onInstalled.addListener(() => {
+  migratePreferences();
+  updateActionBadge();
+  ensureCalendarRefreshAlarm();
+  scheduleCalendarMeetings();
+});
+
+// track the PWA window, or the popup window standing in for it, as windows open and close
+chrome.windows.onCreated.addListener(
+  (window) => {
+    getMeetPopupWindowId((popupWindowId) => {
+      chrome.windows.get(window.id, { populate: true }, (created) => {
+        if (!chrome.runtime.lastError && isGoogleMeetWindow(created, popupWindowId)) {
+          setGoogleMeetWindow(created);
+        }
+      });
+    });
+  },
+  { windowTypes: ['app', 'popup'] },
+);
+
+chrome.windows.onRemoved.addListener(
+  (windowId) => {
+    chrome.storage.session.get([GOOGLE_MEET_WINDOW_KEY, MEET_POPUP_WINDOW_KEY], (items) => {
+      if (items[MEET_POPUP_WINDOW_KEY] === windowId) {
+        chrome.storage.session.remove(MEET_POPUP_WINDOW_KEY);
+      }
+      const stored = items[GOOGLE_MEET_WINDOW_KEY];
+      if (stored && stored.windowId === windowId) {
+        setGoogleMeetWindow(null);
+        // closing the PWA ends whatever call it was on
+        recordCallLeft(null);
+        clearCurrentCall(null);
+      }
+    });
+  },
+  { windowTypes: ['app', 'popup'] },
+);
+
+// forget kept tabs once they close, tab ids aren't reused within a session but the list would grow
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.get([KEPT_TABS_KEY], (items) => {
+    const keptTabIds = items[KEPT_TABS_KEY] || [];
+    if (keptTabIds.includes(tabId)) {
+      chrome.storage.session.set({ [KEPT_TABS_KEY]: keptTabIds.filter((id) => id !== tabId) });
+    }
+  });
+});
 
+chrome.tabs.onUpdated.addListener((tabId, tabChangeInfo, tab) => {
+  if (tabChangeInfo.url || tabChangeInfo.status === 'complete') {
+    trackGoogleMeetWindow(tab);
+  }
+
+  const meetTarget = tab.url ? normalizeMeetUrl(tab.url) : null;
+  if (meetTarget === null) {
+    return;
+  }
+
+  if (!tab.url.startsWith(GOOGLE_MEET_ORIGIN)) {
+    // g.co/meet links and Gmail or Calendar redirects: go straight to the meeting, where the
+    // redirect below picks it up
+    if (tabChangeInfo.url) {
+      findGoogleMeetWindow((meetWindow) => {
+        // whatever the Meet window navigates to is Meet's own doing
+        if (meetWindow && tab.windowId === meetWindow.id) {
+          return;
+        }
+        chrome.tabs.update(tabId, { url: GOOGLE_MEET_ORIGIN + meetTarget });
+      });
+    }
+  } else if (meetTarget.startsWith('new')) {
+    // Special handling if it's a "/new" URL
+    // This allows users to send follow-up slack from the PWA
+    findGoogleMeetWindow((meetWindow) => {
       // only attempt a redirect when not the PWA
-      if (tab.windowId !== googleMeetWindowId) {
-        const parameters = tab.url.split('/')[3];
-        if (!parameters.startsWith('new') && !parameters.startsWith('_meet')) {
-          // if empty, set the landing page
-          chrome.storage.local.set({
-            originatingTabId: tabId,
-            queryParams: parameters,
+      if (meetWindow && tab.windowId === meetWindow.id) {
+        return;
+      }
+
+      isRedirectExcluded(tab, (excluded) => {
+        if (excluded) {
+          return;
+        }
+        startRedirectSession(tab, meetTarget, REDIRECT_SOURCES.NEW_MEETING, (accepted) => {
+          if (!accepted) {
+            return;
+          }
+          chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            injectImmediately: true,
+            func: () => {
+              window.stop();
+            },
           });
+        });
+      });
+    });
+  } else if (tabChangeInfo.status === 'complete') {
+    findGoogleMeetWindow((meetWindow) => {
+      // only attempt a redirect when not the PWA
+      if (meetWindow && tab.windowId === meetWindow.id) {
+        return;
+      }
+
+      if (meetTarget.startsWith('_meet')) {
+        return;
+      }
+      isRedirectExcluded(tab, (excluded) => {
+        if (!excluded) {
+          // if empty, set the landing page
+          startRedirectSession(tab, meetTarget, REDIRECT_SOURCES.LINK);
         }
+      });
+    });
+  }
+});
+
+// keep the action badge up to date as the PWA window, its call, the queue and redirects change
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const keys = Object.keys(changes);
+  if (
+    (areaName === 'session' &&
+      keys.some(
+        (key) =>
+          key === GOOGLE_MEET_WINDOW_KEY ||
+          key === CURRENT_CALL_KEY ||
+          key.startsWith(REDIRECT_SESSION_KEY_PREFIX),
+      )) ||
+    (areaName === 'local' && (keys.includes(MEETING_QUEUE_KEY) || keys.includes(DND_KEY))) ||
+    changes.dndDuringCalls
+  ) {
+    updateActionBadge();
+  }
+  // do not disturb may have ended, with the call or its timer
+  if (
+    (areaName === 'local' && changes[DND_KEY]) ||
+    (areaName === 'session' && changes[CURRENT_CALL_KEY]) ||
+    changes.dndDuringCalls
+  ) {
+    notifyDoNotDisturbEnded();
+  }
+  if (areaName === 'local' && changes[MEETING_QUEUE_KEY]) {
+    syncMeetingNotifications(changes[MEETING_QUEUE_KEY].newValue || []);
+  }
+  if (changes.calendarLeadMinutes) {
+    scheduleCalendarMeetings();
+  }
+});
+
+// open calendar meetings, keep the calendar and its schedule up to date and end timed do not
+// disturb
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === DND_ALARM) {
+    setDoNotDisturb(false, null);
+  } else if (alarm.name.startsWith(CALENDAR_ALARM_PREFIX)) {
+    openCalendarMeeting(alarm.name.slice(CALENDAR_ALARM_PREFIX.length));
+  } else if (alarm.name === CALENDAR_REFRESH_ALARM) {
+    getPreferences(['calendarUrl'], (res) => {
+      if (res.calendarUrl) {
+        refreshCalendar();
+      } else {
+        scheduleCalendarMeetings();
       }
     });
   }
 });
 
-chrome.storage.onChanged.addListener(function (changes) {
-  if (changes['googleMeetOpenedUrl']) {
-    // bring Google Meet PWA into focus
-    chrome.windows.update(googleMeetWindowId, { focused: true }, function () {
-      // close the tab that originally started the process if it wasn't the landing page
-      chrome.storage.local.get(
-        ['originatingTabId', 'queryParams', 'source'],
-        function ({ originatingTabId, queryParams, source }) {
-          let timeout = 3000;
-          if (source === 'NEW_MEETING') {
-            timeout = 0;
-          }
-          setTimeout(function () {
-            if (queryParams !== '') {
-              if (Array.isArray(originatingTabId)) {
-                originatingTabId.forEach((id) => chrome.tabs.remove(id));
-              } else {
-                chrome.tabs.remove(originatingTabId);
+// the pending meeting notifications' Switch and Dismiss buttons
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  if (notificationId.startsWith(MEETING_NOTIFICATION_PREFIX)) {
+    runQueuedMeetingAction(
+      notificationId.slice(MEETING_NOTIFICATION_PREFIX.length),
+      MEETING_NOTIFICATION_ACTIONS[buttonIndex],
+    );
+  }
+});
+
+// clicking the notification itself brings up the PWA and its tray
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(MEETING_NOTIFICATION_PREFIX)) {
+    return;
+  }
+  chrome.notifications.clear(notificationId);
+  findGoogleMeetWindow((meetWindow) => {
+    if (meetWindow) {
+      chrome.windows.update(meetWindow.id, { focused: true });
+    }
+  });
+});
+
+// the badge isn't kept across browser restarts
+chrome.runtime.onStartup.addListener(() => {
+  updateActionBadge();
+  ensureCalendarRefreshAlarm();
+  scheduleCalendarMeetings();
+});
+
+// Route keyboard shortcuts to the PWA, which runs the matching action on the page
+chrome.commands.onCommand.addListener((command) => {
+  if (command === 'toggle-do-not-disturb') {
+    // works without the PWA, so meetings can be kept out before it is even opened
+    getDoNotDisturb(({ enabled }) => {
+      setDoNotDisturb(!enabled, null);
+      console.log('Do not disturb turned', enabled ? 'off' : 'on');
+    });
+    return;
+  }
+
+  findGoogleMeetWindow((meetWindow) => {
+    if (!meetWindow) {
+      console.log('Ignoring command, Google Meet PWA is not open:', command);
+      return;
+    }
+
+    if (command === 'focus-meet-window') {
+      chrome.windows.update(meetWindow.id, { focused: true });
+      return;
+    }
+
+    chrome.tabs.sendMessage(meetWindow.tabs[0].id, { type: 'RUN_COMMAND', command }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('Failed to send command to PWA:', chrome.runtime.lastError);
+      }
+    });
+  });
+});
+
+/**
+ * Runs a request from the external API, see externalApi.js.
+ * @param {*} request - the message received
+ * @param {function(object): void} sendResponse - called with the response
+ */
+function handleExternalRequest(request, sendResponse) {
+  const { command, params, error } = validateExternalRequest(request);
+  if (error) {
+    sendResponse(error);
+    return;
+  }
+
+  if (command === 'openMeeting') {
+    const meeting = params.meeting.trim();
+    const target = MEETING_CODE_ONLY_REGEX.test(meeting)
+      ? meeting.toLowerCase()
+      : normalizeMeetUrl(meeting);
+    if (target === null) {
+      sendResponse(
+        externalApiError(
+          EXTERNAL_API_ERRORS.INVALID_REQUEST,
+          `"${params.meeting}" is neither a meeting code nor a Meet link`,
+        ),
+      );
+      return;
+    }
+    const overrides = {
+      disableMic: params.mute,
+      disableVideo: params.camera === undefined ? undefined : !params.camera,
+      autoJoin: params.autoJoin,
+      preferredMics: params.microphones,
+      preferredSpeakers: params.speakers,
+      preferredCameras: params.cameras,
+    };
+    const authUser = params.authuser === undefined ? null : String(params.authuser);
+    getDoNotDisturb(({ active, action }) => {
+      if (active && action !== DND_ACTIONS.QUEUE) {
+        sendResponse(externalApiError(EXTERNAL_API_ERRORS.DO_NOT_DISTURB, 'Do not disturb is on'));
+        return;
+      }
+      const quiet = active;
+      startExternalRedirectSession(target, { authUser, overrides, quiet }, (session) => {
+        sendResponse(
+          session
+            ? externalApiResult({ sessionId: session.id })
+            : externalApiError(
+                EXTERNAL_API_ERRORS.PWA_NOT_AVAILABLE,
+                'The Google Meet PWA is not installed',
+              ),
+        );
+      });
+    });
+  } else if (command === 'getStatus') {
+    getMeetStatus(({ meetWindow, call, queuedCount, pendingHandoff }) => {
+      // spelled out rather than passed on, so the response keeps to its version's schema
+      sendResponse(
+        externalApiResult({
+          meetWindowOpen: !!meetWindow,
+          onCall: !!call,
+          meetingCode: call ? call.meetingCode : null,
+          joinedAt: call ? call.joinedAt : null,
+          queuedCount,
+          pendingHandoff: pendingHandoff
+            ? {
+                meetingCode: pendingHandoff.meetingCode,
+                title: pendingHandoff.title,
+                createdAt: pendingHandoff.createdAt,
               }
-            }
-          }, timeout);
-        },
+            : null,
+        }),
       );
     });
+  } else if (command === 'leaveCall') {
+    leaveCall(({ success, reason }) => {
+      if (success) {
+        sendResponse(externalApiResult({}));
+      } else if (reason === 'PWA_NOT_OPEN') {
+        sendResponse(
+          externalApiError(
+            EXTERNAL_API_ERRORS.PWA_NOT_AVAILABLE,
+            'The Google Meet PWA is not open',
+          ),
+        );
+      } else {
+        sendResponse(externalApiError(EXTERNAL_API_ERRORS.NOT_ON_CALL, 'Not on a call'));
+      }
+    });
   }
+}
+
+// Requests from other extensions and local pages, answered for those on the allowlist
+chrome.runtime.onMessageExternal.addListener((request, sender, sendResponse) => {
+  getPreferences(['externalAllowlist'], (res) => {
+    let senderId;
+    if (EXTERNAL_PAGE_ORIGIN_REGEX.test(sender.origin || '')) {
+      // local pages are listed by origin
+      senderId = sender.origin;
+    } else {
+      // extensions are listed by id
+      senderId = sender.id;
+    }
+    if (!senderId || !res.externalAllowlist.includes(senderId)) {
+      console.warn('Rejected external request from', senderId || sender.url);
+      sendResponse(
+        externalApiError(
+          EXTERNAL_API_ERRORS.NOT_ALLOWED,
+          `${senderId} isn't allowed, add it under "External access" in the SpeedyMeet popup`,
+        ),
+      );
+      return;
+    }
+    console.log('External request from', senderId, request);
+    handleExternalRequest(request, sendResponse);
+  });
+  return true; // Keep message channel open for async response
 });
 
-// Handle TTS requests from content scripts
+// Handle redirect, TTS and PWA launch requests from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'SPEAK_TEXT') {
-    if (chrome.tts) {
-      chrome.tts.speak(message.text, {
-        rate: message.rate || 1.0,
-        pitch: message.pitch || 1.0,
-        volume: message.volume || 1.0,
+  if (message.type === 'PWA_READY') {
+    // the PWA's contentScript is listening, so hand over any meeting still waiting on it
+    getMeetPopupWindowId((popupWindowId) => {
+      chrome.windows.get(sender.tab.windowId, { populate: true }, (window) => {
+        if (!chrome.runtime.lastError && isGoogleMeetWindow(window, popupWindowId)) {
+          setGoogleMeetWindow(window);
+        }
       });
-      console.log('TTS: Speaking text:', message.text);
-    } else {
+    });
+    getRedirectSessions((sessions) => {
+      sessions
+        .filter((session) => session.state === REDIRECT_STATES.PENDING)
+        .forEach((session) => {
+          chrome.tabs.sendMessage(
+            sender.tab.id,
+            { type: 'REDIRECT_REQUEST', session },
+            () => void chrome.runtime.lastError,
+          );
+        });
+      // meetings held back by do not disturb that ended while the PWA was closed can be shown
+      getDoNotDisturb(({ active }) => sendResponse({ success: true, doNotDisturb: active }));
+    });
+  } else if (message.type === 'REDIRECT_OPENED') {
+    handleRedirectOpened(message.sessionId, !!message.alertShown);
+    sendResponse({ success: true });
+  } else if (message.type === 'REDIRECT_DECLINED') {
+    handleRedirectDeclined(message.sessionId);
+    sendResponse({ success: true });
+  } else if (message.type === 'IS_MEET_WINDOW') {
+    // the popup window standing in for the PWA can't tell from its display mode
+    findGoogleMeetWindow((meetWindow) => {
+      sendResponse({ isMeetWindow: !!meetWindow && meetWindow.id === sender.tab.windowId });
+    });
+  } else if (message.type === 'GET_PWA_WINDOW') {
+    // lets the popup reach the PWA, e.g. to run diagnostics in it
+    findGoogleMeetWindow((meetWindow) => {
+      sendResponse(meetWindow ? { windowId: meetWindow.id, tabId: meetWindow.tabs[0].id } : null);
+    });
+  } else if (message.type === 'FOCUS_PWA') {
+    findGoogleMeetWindow((meetWindow) => {
+      if (meetWindow) {
+        chrome.windows.update(meetWindow.id, { focused: true });
+      }
+      sendResponse({ success: !!meetWindow });
+    });
+  } else if (message.type === 'MINIMIZE_PWA') {
+    findGoogleMeetWindow((meetWindow) => {
+      if (meetWindow) {
+        chrome.windows.update(meetWindow.id, { state: 'minimized' });
+      }
+      sendResponse({ success: !!meetWindow });
+    });
+  } else if (message.type === 'CALL_JOINED') {
+    recordCallJoined(message.meetingCode.toLowerCase());
+    setCurrentCall(message.meetingCode.toLowerCase());
+    sendResponse({ success: true });
+  } else if (message.type === 'CALL_LEFT') {
+    recordCallLeft(message.meetingCode.toLowerCase(), message.leftAt);
+    clearCurrentCall(message.meetingCode.toLowerCase());
+    sendResponse({ success: true });
+  } else if (message.type === 'IMPORT_CALENDAR') {
+    // an .ics file picked in the popup
+    importCalendar(message.text, { name: message.name }, sendResponse);
+  } else if (message.type === 'REFRESH_CALENDAR') {
+    refreshCalendar(sendResponse);
+  } else if (message.type === 'REMOVE_CALENDAR') {
+    chrome.storage.local.remove([CALENDAR_EVENTS_KEY, CALENDAR_SOURCE_KEY], () => {
+      setPreferences({ calendarUrl: '' }, () => {
+        scheduleCalendarMeetings();
+        sendResponse({ success: true });
+      });
+    });
+  } else if (message.type === 'GET_MEET_STATUS') {
+    // for the popup's status panel
+    getMeetStatus(sendResponse);
+  } else if (message.type === 'LEAVE_CALL') {
+    leaveCall(sendResponse);
+  } else if (message.type === 'SET_DO_NOT_DISTURB') {
+    // from the popup, with minutes set when turned on for a while
+    setDoNotDisturb(message.enabled, message.minutes || null, () =>
+      sendResponse({ success: true }),
+    );
+  } else if (message.type === 'REDIRECT_KEPT_IN_TAB') {
+    handleRedirectKeptInTab(message.sessionId, sender.tab.id);
+    sendResponse({ success: true });
+  } else if (message.type === 'OPEN_IN_PWA') {
+    // user asked to retry from a tab where the PWA wasn't installed
+    const meetTarget = normalizeMeetUrl(sender.tab.url) || '';
+    startRedirectSession(sender.tab, meetTarget, REDIRECT_SOURCES.LINK, (accepted) => {
+      sendResponse(accepted ? { success: true } : { success: false, reason: 'PWA_NOT_INSTALLED' });
+    });
+  } else if (message.type === 'SPEAK_TEXT') {
+    if (!chrome.tts) {
       console.warn('TTS not supported');
+      sendResponse({ success: false });
+      return true;
     }
-    sendResponse({ success: true });
+    getPreferences(['silentMode', 'ttsVoiceName', 'ttsRate', 'ttsPitch', 'ttsVolume'], (res) => {
+      // the popup's "Test voice" speaks even in silent mode, with the values being edited
+      if (res.silentMode && !message.test) {
+        console.log('TTS: Silent mode, not speaking:', message.text);
+        sendResponse({ success: false, reason: 'SILENT_MODE' });
+        return;
+      }
+      const options = {
+        rate: message.rate || res.ttsRate,
+        pitch: message.pitch || res.ttsPitch,
+        volume: message.volume || res.ttsVolume,
+      };
+      const voiceName = message.test ? message.voiceName : res.ttsVoiceName;
+      if (voiceName) {
+        options.voiceName = voiceName;
+      }
+      chrome.tts.speak(message.text, options);
+      console.log('TTS: Speaking text:', message.text);
+      sendResponse({ success: true });
+    });
   }
   return true; // Keep message channel open for async response
 });
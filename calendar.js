@@ -0,0 +1,527 @@
+/*
+ * calendar.js reads ICS calendars for scheduled auto-open. parseIcs keeps the events that have a
+ * Meet link, and getUpcomingMeetings expands them, recurrences, moved occurrences and
+ * cancellations included, into the meetings coming up. background.js stores the parsed events
+ * under CALENDAR_EVENTS_KEY and sets an alarm ahead of each meeting; the popup lists the schedule.
+ *
+ * Start times are kept as the wall clock time in the event's time zone and only turned into an
+ * instant when a meeting is expanded, so a weekly 9:00 meeting stays at 9:00 across DST changes.
+ */
+
+// chrome.storage.local key holding the events parsed from the imported calendar
+const CALENDAR_EVENTS_KEY = 'calendarEvents';
+// chrome.storage.local key describing the imported calendar: {name, url, importedAt}
+const CALENDAR_SOURCE_KEY = 'calendarSource';
+// a recurring event is expanded over at most this many days, weeks, months or years
+const MAX_RECURRENCE_PERIODS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MEET_LINK_REGEX = /https:\/\/(?:meet\.google\.com|g\.co\/meet)\/[^\s"'<>\\]*/i;
+
+// BYDAY values, in the order of Date.prototype.getUTCDay
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Outlook exports name time zones the Windows way, which Intl doesn't know
+const WINDOWS_TIME_ZONES = {
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Mountain Standard Time': 'America/Denver',
+  'Central Standard Time': 'America/Chicago',
+  'Eastern Standard Time': 'America/New_York',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'India Standard Time': 'Asia/Kolkata',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  UTC: 'UTC',
+};
+
+/**
+ * Splits an ICS file into its content lines, joining folded ones back together.
+ * @param {string} text - the ICS file
+ * @returns {string[]} the unfolded lines
+ */
+function unfoldIcsLines(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+}
+
+/**
+ * Parses an ICS content line, e.g. "DTSTART;TZID=Europe/Berlin:20261019T090000".
+ * @param {string} line - the unfolded line
+ * @returns {{name: string, params: Object<string, string>, value: string}|null} the property, or
+ * null when the line can't be read
+ */
+function parseIcsLine(line) {
+  const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*))*):(.*)$/);
+  if (!match) {
+    return null;
+  }
+  const params = {};
+  (match[2].match(/;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*)/g) || []).forEach((param) => {
+    const [name, ...value] = param.slice(1).split('=');
+    params[name.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+  });
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+// reverses the escaping of TEXT values, e.g. "Room 1\, 2nd floor"
+function unescapeIcsText(value) {
+  return value.replace(/\\([\\;,nN])/g, (escaped, char) =>
+    char === 'n' || char === 'N' ? '\n' : char,
+  );
+}
+
+/**
+ * Finds the IANA time zone for a TZID.
+ * @param {string|undefined} tzid - the TZID parameter
+ * @returns {string|null} the time zone, or null to use local time
+ */
+function resolveTimeZone(tzid) {
+  if (!tzid) {
+    return null;
+  }
+  const candidates = [
+    tzid,
+    WINDOWS_TIME_ZONES[tzid],
+    // e.g. "/mozilla.org/20050126_1/America/New_York"
+    (tzid.match(/[A-Za-z_]+\/[A-Za-z_+-]+$/) || [])[0],
+  ];
+  for (const timeZone of candidates) {
+    try {
+      if (timeZone) {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return timeZone;
+      }
+    } catch (e) {
+      // not a time zone Intl knows, try the next candidate
+    }
+  }
+  console.warn(`Unknown time zone "${tzid}", using local time`);
+  return null;
+}
+
+/**
+ * Reads an ICS DATE or DATE-TIME value.
+ * @param {string} value - e.g. "20261019", "20261019T090000" or "20261019T070000Z"
+ * @returns {{wall: number, utc: boolean, allDay: boolean}|null} the wall clock time (as if it were
+ * UTC, see wallTimeToInstant), whether the value was in UTC and whether it was a plain date, or
+ * null when the value can't be read
+ */
+function parseIcsDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour = 0, minute = 0, second = 0, utc] = match;
+  return {
+    wall: Date.UTC(+year, month - 1, +day, +hour, +minute, +second),
+    utc: !!utc,
+    allDay: !match[4],
+  };
+}
+
+/**
+ * Gets how far a time zone is ahead of UTC at an instant.
+ * @param {number} instant - the instant, in ms
+ * @param {string} timeZone - the IANA time zone
+ * @returns {number} the offset in ms
+ */
+function getTimeZoneOffset(instant, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  })
+    .formatToParts(new Date(instant))
+    .forEach(({ type, value }) => {
+      parts[type] = +value;
+    });
+  const wall = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return wall - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Turns a wall clock time into an instant. Wall clock times are kept as the ms they would be in
+ * UTC, so calendar arithmetic on them isn't thrown off by DST.
+ * @param {number} wall - the wall clock time
+ * @param {string|null} timeZone - the IANA time zone, 'UTC', or null for local time
+ * @returns {number} the instant, in ms
+ */
+function wallTimeToInstant(wall, timeZone) {
+  if (timeZone === 'UTC') {
+    return wall;
+  }
+  if (!timeZone) {
+    const date = new Date(wall);
+    return new Date(
+      date.getUTCFullYear(),
+      date.getUTCMonth(),
+      date.getUTCDate(),
+      date.getUTCHours(),
+      date.getUTCMinutes(),
+      date.getUTCSeconds(),
+    ).getTime();
+  }
+  // the offset at the guess can be off by the DST change in between, so check it again
+  const offset = getTimeZoneOffset(wall, timeZone);
+  const correctedOffset = getTimeZoneOffset(wall - offset, timeZone);
+  return wall - correctedOffset;
+}
+
+/**
+ * Reads a DATE or DATE-TIME property into an instant.
+ * @param {{params: Object<string, string>, value: string}} property - the property
+ * @param {string|null} fallbackTimeZone - the time zone of values without a TZID or a Z
+ * @param {number} [timeOfDay] - for plain dates, the time of day to use, in ms
+ * @returns {number|null} the instant, or null when the value can't be read
+ */
+function parseIcsInstant({ params, value }, fallbackTimeZone, timeOfDay = 0) {
+  const date = parseIcsDate(value);
+  if (!date) {
+    return null;
+  }
+  const timeZone = date.utc ? 'UTC' : resolveTimeZone(params.TZID) || fallbackTimeZone;
+  return wallTimeToInstant(date.allDay ? date.wall + timeOfDay : date.wall, timeZone);
+}
+
+/**
+ * Reads an RRULE, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20261231T000000Z". BYSETPOS,
+ * BYWEEKNO, BYYEARDAY and the sub-daily frequencies aren't supported.
+ * @param {string} value - the RRULE value
+ * @param {string|null} timeZone - the event's time zone, for an UNTIL in local time
+ * @returns {object|null} the rule, or null when it can't be expanded
+ */
+function parseRecurrenceRule(value, timeZone) {
+  const parts = {};
+  value.split(';').forEach((part) => {
+    const [name, partValue] = part.split('=');
+    parts[name.toUpperCase()] = partValue || '';
+  });
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ)) {
+    console.warn('Unsupported recurrence, only the first occurrence is used:', value);
+    return null;
+  }
+
+  const list = (name) => (parts[name] ? parts[name].split(',') : []);
+  const until = parts.UNTIL ? parseIcsDate(parts.UNTIL) : null;
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    count: parseInt(parts.COUNT, 10) || null,
+    // a plain UNTIL date includes the whole day
+    until: until
+      ? wallTimeToInstant(
+          until.allDay ? until.wall + DAY_MS - 1 : until.wall,
+          until.utc ? 'UTC' : timeZone,
+        )
+      : null,
+    byDay: list('BYDAY')
+      .map((day) => day.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/i))
+      .filter(Boolean)
+      .map(([, nth, weekday]) => ({
+        weekday: ICS_WEEKDAYS.indexOf(weekday.toUpperCase()),
+        nth: nth ? parseInt(nth, 10) : null,
+      })),
+    byMonthDay: list('BYMONTHDAY').map(Number).filter(Boolean),
+    byMonth: list('BYMONTH').map(Number).filter(Boolean),
+    weekStart: parts.WKST ? ICS_WEEKDAYS.indexOf(parts.WKST.toUpperCase()) : 1,
+  };
+}
+
+/**
+ * Parses an ICS calendar, keeping the timed events with a Meet link, along with the moved or
+ * cancelled occurrences of recurring ones. All-day events are skipped.
+ * @param {string} text - the ICS file
+ * @returns {Array<object>|null} the events, or null when the text isn't a calendar
+ */
+function parseIcs(text) {
+  const lines = unfoldIcsLines(text);
+  if (!lines.some((line) => /^BEGIN:VCALENDAR$/i.test(line.trim()))) {
+    return null;
+  }
+
+  const components = [];
+  const rawEvents = [];
+  lines.forEach((line) => {
+    const property = parseIcsLine(line.trim());
+    if (!property) {
+      return;
+    }
+    if (property.name === 'BEGIN') {
+      components.push({ type: property.value.toUpperCase(), properties: [] });
+      return;
+    }
+    if (property.name === 'END') {
+      const component = components.pop();
+      if (component && component.type === 'VEVENT') {
+        rawEvents.push(component.properties);
+      }
+      return;
+    }
+    // properties of nested components, such as a VALARM's DESCRIPTION, aren't the event's
+    const current = components[components.length - 1];
+    if (current && current.type === 'VEVENT') {
+      current.properties.push(property);
+    }
+  });
+
+  const events = rawEvents.map(readIcsEvent).filter(Boolean);
+  const uidsWithMeet = new Set(events.filter((event) => event.target).map((event) => event.uid));
+  return events.filter((event) => uidsWithMeet.has(event.uid));
+}
+
+/**
+ * Turns the properties of a VEVENT into the event stored for scheduling.
+ * @param {Array<object>} properties - the event's properties, from parseIcsLine
+ * @returns {object|null} the event, or null for all-day events and ones without a start
+ */
+function readIcsEvent(properties) {
+  const get = (name) => properties.find((property) => property.name === name);
+  const dtstart = get('DTSTART');
+  const start = dtstart && parseIcsDate(dtstart.value);
+  if (!start || start.allDay) {
+    return null;
+  }
+  const timeZone = start.utc ? 'UTC' : resolveTimeZone(dtstart.params.TZID);
+  const timeOfDay = start.wall % DAY_MS;
+
+  // Google Calendar puts the link in X-GOOGLE-CONFERENCE, others in the location or description
+  const link = ['X-GOOGLE-CONFERENCE', 'URL', 'LOCATION', 'DESCRIPTION']
+    .map((name) => get(name))
+    .filter(Boolean)
+    .map((property) => (unescapeIcsText(property.value).match(MEET_LINK_REGEX) || [])[0])
+    .find(Boolean);
+  const target = link ? normalizeMeetUrl(link) : null;
+
+  const rrule = get('RRULE');
+  const recurrenceId = get('RECURRENCE-ID');
+  const uid = get('UID');
+  const summary = get('SUMMARY');
+  const status = get('STATUS');
+  return {
+    uid: uid ? uid.value : `${dtstart.value}:${target}`,
+    title: summary ? unescapeIcsText(summary.value) : null,
+    start: start.wall,
+    timeZone,
+    target: target || null,
+    meetingCode: target ? getMeetingCode(target) : null,
+    rrule: rrule ? parseRecurrenceRule(rrule.value, timeZone) : null,
+    exdates: properties
+      .filter((property) => property.name === 'EXDATE')
+      .flatMap((property) =>
+        property.value
+          .split(',')
+          .map((value) => parseIcsInstant({ ...property, value }, timeZone, timeOfDay)),
+      )
+      .filter((instant) => instant !== null),
+    recurrenceId: recurrenceId ? parseIcsInstant(recurrenceId, timeZone, timeOfDay) : null,
+    cancelled: !!status && status.value.toUpperCase() === 'CANCELLED',
+  };
+}
+
+/**
+ * Lists the days of a month a monthly or yearly rule falls on.
+ * @param {object} rule - the recurrence rule
+ * @param {number} year - the year
+ * @param {number} month - the month, 0 for January
+ * @param {number} defaultDay - the day of the month of the first occurrence
+ * @returns {number[]} the days, as wall clock midnights
+ */
+function getRecurrenceMonthDays(rule, year, month, defaultDay) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  let days = [defaultDay];
+  if (rule.byMonthDay.length) {
+    days = rule.byMonthDay.map((day) => (day > 0 ? day : daysInMonth + day + 1));
+  } else if (rule.byDay.length) {
+    days = rule.byDay.flatMap(({ weekday, nth }) => {
+      const matching = [];
+      for (let day = 1; day <= daysInMonth; day++) {
+        if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) {
+          matching.push(day);
+        }
+      }
+      if (!nth) {
+        return matching;
+      }
+      // e.g. 2TU for the second Tuesday, -1FR for the last Friday
+      const day = nth > 0 ? matching[nth - 1] : matching[matching.length + nth];
+      return day ? [day] : [];
+    });
+  }
+  return days
+    .filter((day) => day >= 1 && day <= daysInMonth)
+    .sort((a, b) => a - b)
+    .map((day) => Date.UTC(year, month, day));
+}
+
+/**
+ * Lists the days a rule falls on in one of its periods, counted from the first occurrence.
+ * @param {object} rule - the recurrence rule
+ * @param {number} firstDay - the wall clock midnight of the first occurrence
+ * @param {number} period - the period, 0 being the one holding the first occurrence
+ * @returns {number[]} the days, as wall clock midnights in order
+ */
+function getRecurrencePeriodDays(rule, firstDay, period) {
+  const first = new Date(firstDay);
+  const weekdays = rule.byDay.map(({ weekday }) => weekday);
+
+  if (rule.freq === 'DAILY') {
+    const day = firstDay + period * rule.interval * DAY_MS;
+    return !weekdays.length || weekdays.includes(new Date(day).getUTCDay()) ? [day] : [];
+  }
+  if (rule.freq === 'WEEKLY') {
+    const weekStart =
+      firstDay -
+      ((first.getUTCDay() - rule.weekStart + 7) % 7) * DAY_MS +
+      period * rule.interval * 7 * DAY_MS;
+    const days = [0, 1, 2, 3, 4, 5, 6].map((offset) => weekStart + offset * DAY_MS);
+    return days.filter((day) =>
+      (weekdays.length ? weekdays : [first.getUTCDay()]).includes(new Date(day).getUTCDay()),
+    );
+  }
+  if (rule.freq === 'MONTHLY') {
+    const monthIndex = first.getUTCMonth() + period * rule.interval;
+    return getRecurrenceMonthDays(
+      rule,
+      first.getUTCFullYear() + Math.floor(monthIndex / 12),
+      monthIndex % 12,
+      first.getUTCDate(),
+    );
+  }
+  const year = first.getUTCFullYear() + period * rule.interval;
+  const months = rule.byMonth.length
+    ? rule.byMonth.map((month) => month - 1)
+    : [first.getUTCMonth()];
+  return months.flatMap((month) => getRecurrenceMonthDays(rule, year, month, first.getUTCDate()));
+}
+
+/**
+ * Expands an event into the start of each of its occurrences up to a point in time.
+ * @param {object} event - the event, from parseIcs
+ * @param {number} from - skip occurrences before this instant where the rule allows it
+ * @param {number} to - the last instant to expand up to
+ * @returns {number[]} the occurrences' starts, as instants
+ */
+function getOccurrenceStarts(event, from, to) {
+  const rule = event.rrule;
+  if (!rule) {
+    return [wallTimeToInstant(event.start, event.timeZone)];
+  }
+
+  const timeOfDay = event.start % DAY_MS;
+  const firstDay = event.start - timeOfDay;
+  // jump ahead to just before `from`, which COUNT doesn't allow since it counts every occurrence
+  let period = 0;
+  if (!rule.count && from > event.start) {
+    // months and years go by the calendar, their length varies
+    const first = new Date(event.start);
+    const until = new Date(from);
+    const months =
+      (until.getUTCFullYear() - first.getUTCFullYear()) * 12 +
+      until.getUTCMonth() -
+      first.getUTCMonth();
+    const elapsed = {
+      DAILY: (from - event.start) / DAY_MS,
+      WEEKLY: (from - event.start) / (7 * DAY_MS),
+      MONTHLY: months,
+      YEARLY: Math.floor(months / 12),
+    }[rule.freq];
+    // a period short, so the occurrences early in the period holding `from` aren't skipped
+    period = Math.max(0, Math.floor(elapsed / rule.interval) - 1);
+  }
+
+  const starts = [];
+  let count = 0;
+  for (const last = period + MAX_RECURRENCE_PERIODS; period < last; period++) {
+    for (const day of getRecurrencePeriodDays(rule, firstDay, period)) {
+      const wall = day + timeOfDay;
+      if (wall < event.start) {
+        continue;
+      }
+      const start = wallTimeToInstant(wall, event.timeZone);
+      if (start > to || (rule.until !== null && start > rule.until)) {
+        return starts;
+      }
+      if (rule.count && ++count > rule.count) {
+        return starts;
+      }
+      starts.push(start);
+    }
+  }
+  return starts;
+}
+
+/**
+ * Lists the meetings on the imported calendar that start within a time range, leaving out
+ * cancelled occurrences and those excluded by EXDATE, and moving those with an override to their
+ * new time.
+ * @param {Array<object>} events - the events, from parseIcs
+ * @param {number} from - the earliest start, as an instant
+ * @param {number} to - the latest start, as an instant
+ * @returns {Array<{id: string, title: string|null, start: number, target: string, meetingCode:
+ * string|null}>} the meetings, soonest first; `id` tells occurrences of an event apart
+ */
+function getUpcomingMeetings(events, from, to) {
+  const overrides = events.filter((event) => event.recurrenceId !== null);
+  const toMeeting = (event, start) => ({
+    id: `${event.uid}@${start}`,
+    title: event.title,
+    start,
+    target: event.target,
+    meetingCode: event.meetingCode,
+  });
+
+  const meetings = [];
+  events
+    .filter((event) => event.recurrenceId === null && !event.cancelled && event.target)
+    .forEach((event) => {
+      getOccurrenceStarts(event, from, to).forEach((start) => {
+        const replaced =
+          event.exdates.includes(start) ||
+          overrides.some(
+            (override) => override.uid === event.uid && override.recurrenceId === start,
+          );
+        if (!replaced) {
+          meetings.push(toMeeting(event, start));
+        }
+      });
+    });
+  // a moved occurrence often only repeats what changed, the rest comes from its recurring event
+  overrides
+    .filter((override) => !override.cancelled)
+    .forEach((override) => {
+      const recurring =
+        events.find((event) => event.uid === override.uid && event.recurrenceId === null) || {};
+      const event = {
+        ...override,
+        title: override.title || recurring.title || null,
+        target: override.target || recurring.target || null,
+        meetingCode: override.meetingCode || recurring.meetingCode || null,
+      };
+      if (event.target) {
+        meetings.push(toMeeting(event, wallTimeToInstant(override.start, override.timeZone)));
+      }
+    });
+
+  return meetings
+    .filter((meeting) => meeting.start >= from && meeting.start <= to)
+    .sort((a, b) => a.start - b.start);
+}
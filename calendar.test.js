@@ -0,0 +1,62 @@
+/*
+ * Checks recurring calendar meetings are still found long after their first occurrence.
+ */
+
+const assert = require('node:assert');
+const test = require('node:test');
+const { loadScripts } = require('./testContext');
+
+const context = loadScripts(['meetUrl.js', 'calendar.js'], { URL, Intl });
+
+/**
+ * Lists the starts of a recurring meeting within a range.
+ * @param {string} rrule - the RRULE value
+ * @param {string} from - the start of the range, as an ISO date
+ * @param {string} to - the end of the range, as an ISO date
+ * @returns {string[]} the starts, as ISO instants
+ */
+function getStarts(rrule, from, to) {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:standup',
+    'DTSTART;TZID=America/New_York:20240115T090000',
+    `RRULE:${rrule}`,
+    'DESCRIPTION:https://meet.google.com/abc-defg-hij',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+  // copied out of the context, whose arrays aren't this one's
+  return Array.from(
+    context.getUpcomingMeetings(context.parseIcs(ics), Date.parse(from), Date.parse(to)),
+    ({ start }) => new Date(start).toISOString(),
+  );
+}
+
+test('monthly meetings that started years ago', () => {
+  assert.deepStrictEqual(getStarts('FREQ=MONTHLY', '2026-10-01', '2026-12-01'), [
+    '2026-10-15T13:00:00.000Z',
+    '2026-11-15T14:00:00.000Z',
+  ]);
+});
+
+test('monthly meetings every other month', () => {
+  assert.deepStrictEqual(getStarts('FREQ=MONTHLY;INTERVAL=2', '2026-10-01', '2027-02-01'), [
+    '2026-11-15T14:00:00.000Z',
+    '2027-01-15T14:00:00.000Z',
+  ]);
+});
+
+test('yearly meetings', () => {
+  assert.deepStrictEqual(getStarts('FREQ=YEARLY', '2026-01-01', '2027-02-01'), [
+    '2026-01-15T14:00:00.000Z',
+    '2027-01-15T14:00:00.000Z',
+  ]);
+});
+
+test('weekly meetings', () => {
+  assert.deepStrictEqual(getStarts('FREQ=WEEKLY;BYDAY=MO,WE', '2026-10-19', '2026-10-22'), [
+    '2026-10-19T13:00:00.000Z',
+    '2026-10-21T13:00:00.000Z',
+  ]);
+});
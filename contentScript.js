@@ -3,45 +3,160 @@
  * it is running in the PWA or a normal tab. The PWA portion will redirect it to the correct meeting
  * (if not currently on a meeting). The normal tab will replace the content on the original page
  * informing the user they were redirected to the PWA.
+ *
+ * meetUrl.js, rules.js and locales.js are loaded ahead of this script and share its scope.
  */
 
 const OVERLAY_ID = 'meet-switch-overlay';
-const MEETING_CODE_REGEX = /([a-z0-9]{3,5}-[a-z0-9]{3,5}-[a-z0-9]{3,5})/i;
+const PWA_NOT_INSTALLED_OVERLAY_ID = 'meet-switch-pwa-not-installed-overlay';
+const PENDING_TRAY_ID = 'meet-pending-meetings-tray';
 
 // Timing constants
 const DEFAULT_INTERVAL_MS = 300;
+const CALL_STATUS_POLL_MS = 1000;
+const SNOOZE_CHECK_MS = 15000;
+const CALL_END_CONFIRM_MS = 3000;
+const ALONE_CHECK_MS = 5000;
+const LOBBY_CHECK_MS = 1000;
+const MAX_LOBBY_RETRIES = 3;
+// queued meetings older than this are dropped
+const QUEUE_ITEM_MAX_AGE_MS = 4 * 60 * 60 * 1000;
+// after switching to a meeting, redirects for other meetings are queued for this long, covering
+// the page load and the pending sessions background.js hands over again once it is ready
+const SWITCH_SETTLE_MS = 15000;
+// buttons listed in the diagnostics report
+const DIAGNOSTICS_MAX_BUTTONS = 60;
 const DEFAULT_TIMEOUT_MS = 15000;
 const INITIALIZATION_DELAY_MS = 1000;
-const DEFAULT_COUNTDOWN_DURATION = 10;
-const TTS_ANNOUNCEMENT_INTERVAL = 5;
-
-// Aria labels and selectors
-const ARIA_LABELS = {
-  CALL_CONTROLS: 'Call controls',
-  TURN_OFF_MIC: 'Turn off microphone',
-  TURN_OFF_CAMERA: 'Turn off camera',
+const COUNTDOWN_EXTEND_SECONDS = 30;
+// how long to look for each device menu and its entries before joining on whatever Meet picked
+const DEVICE_PICKER_TIMEOUT_MS = 5000;
+
+// Structural selectors, used when none of the localized text in locales.js matches
+const STRUCTURAL_SELECTORS = {
+  // Meet's internal name for the pre-join "Join now" / "Ask to join" button
+  JOIN_BUTTON: '[jsname="Qx7uuf"]:not([disabled])',
+  // the mic and camera toggles, in that order, carry their state in data-is-muted
+  MEDIA_TOGGLES: '[data-is-muted]',
+  BUTTON_ICONS: 'button i, [role="button"] i',
+  // every video tile carries the id of the participant it shows
+  PARTICIPANT_TILES: '[data-participant-id]',
+  // the pre-join device menus are the buttons there opening a menu, each listing devices in it
+  DEVICE_PICKERS: '[aria-haspopup]',
+  DEVICE_OPTIONS: '[role="menuitemradio"], [role="option"]',
+};
+// Material icon ligature on the leave call button, which is the same in every language
+const LEAVE_CALL_ICON = 'call_end';
+
+// How an element was found on the page, reported by diagnostics
+const MATCHED_BY = {
+  TEXT: 'text',
+  ARIA_LABEL: 'ariaLabel',
+  STRUCTURE: 'structure',
 };
 
-// Join button text variations
-const JOIN_BUTTON_TEXTS = ['join anyway', 'join', 'ask to join', 'join now'];
+// Media toggles that can be found with findMediaToggle
+const MEDIA_KINDS = {
+  MIC: 'mic',
+  CAMERA: 'camera',
+};
+
+/*
+ * Devices picked from the preferred lists on the pre-join screen, in the order they are picked:
+ * the preference listing them, their kind as enumerateDevices reports it, the locales.js label of
+ * Meet's menu for them and the Material icons that menu may show.
+ */
+const PREFERRED_DEVICES = [
+  {
+    name: 'mic',
+    preference: 'preferredMics',
+    deviceKind: 'audioinput',
+    labelKey: 'micPicker',
+    icons: ['mic', 'mic_none'],
+  },
+  {
+    name: 'speaker',
+    preference: 'preferredSpeakers',
+    deviceKind: 'audiooutput',
+    labelKey: 'speakerPicker',
+    icons: ['volume_up'],
+  },
+  {
+    name: 'camera',
+    preference: 'preferredCameras',
+    deviceKind: 'videoinput',
+    labelKey: 'cameraPicker',
+    icons: ['videocam'],
+  },
+];
+
+// Keyboard shortcuts declared under "commands" in manifest.json, routed here by background.js
+const COMMANDS = {
+  ACCEPT_NEXT_MEETING: 'accept-next-meeting',
+  DISMISS_NEXT_MEETING: 'dismiss-next-meeting',
+  CANCEL_AUTO_JOIN: 'cancel-auto-join',
+  SKIP_AUTO_JOIN_COUNTDOWN: 'skip-auto-join-countdown',
+  PAUSE_AUTO_JOIN_COUNTDOWN: 'pause-auto-join-countdown',
+  EXTEND_AUTO_JOIN_COUNTDOWN: 'extend-auto-join-countdown',
+  TOGGLE_MIC: 'toggle-mic',
+  TOGGLE_CAMERA: 'toggle-camera',
+  // also sent by the popup's "Leave call" button
+  LEAVE_CALL: 'leave-call',
+};
 
 // Storage keys
 const STORAGE_KEYS = {
-  GOOGLE_MEET_OPENED_URL: 'googleMeetOpenedUrl',
-  GOOGLE_MEET_DECLINED_URL: 'googleMeetDeclinedUrl',
-  ORIGINATING_TAB_ID: 'originatingTabId',
-  QUERY_PARAMS: 'queryParams',
   SHOULD_AUTO_JOIN_OVERRIDE: 'shouldAutoJoinOverride',
+  MEETING_QUEUE: 'meetingQueue',
+  // settings the redirect session asked for, kept for the meeting's page to apply once loaded
+  MEETING_OVERRIDES: 'meetingOverrides',
+  // the meeting being switched to, kept across the page load it starts
+  SWITCH_IN_FLIGHT: 'switchInFlight',
+};
+
+// What to do once a call ends, picked in the popup
+const POST_CALL_ACTIONS = {
+  NONE: 'none',
+  LANDING: 'landing',
+  JOIN_NEXT: 'joinNext',
+  MINIMIZE: 'minimize',
+};
+
+// What to do when nobody answers an "Ask to join" in time, picked in the popup
+const LOBBY_TIMEOUT_ACTIONS = {
+  ALERT: 'alert',
+  RETRY: 'retry',
+};
+
+// Actions on a meeting in the pending meetings tray
+const QUEUE_ACTIONS = {
+  SWITCH: 'switch',
+  DISMISS: 'dismiss',
+  SNOOZE: 'snooze',
+  SWITCH_WHEN_CALL_ENDS: 'switchWhenCallEnds',
 };
 
 // Global state for countdown management
 let activeCountdown = null;
 
+// Meetings that came in while on a call, waiting in the pending meetings tray
+let meetingQueue = [];
+
+// The redirect session last switched to, so meetings arriving while it loads don't replace it
+let switchInFlight = null;
+
+// Interval watching the lobby after an "Ask to join" click
+let activeLobbyWatch = null;
+
+// Elements runInterval gave up looking for, reported by diagnostics
+const selectorTimeouts = [];
+
 /**
  * Builds the notification elements to inform the user they were redirected to the PWA.
+ * @param {string} sessionId - the redirect session "Use this tab instead" cancels
  * @returns {HTMLDivElement} the overlay element containing the notification
  */
-function buildNotificationElements() {
+function buildNotificationElements(sessionId) {
   const pageContainerOverlay = document.createElement('div');
   pageContainerOverlay.className = 'meet-switch-overlay';
   pageContainerOverlay.id = OVERLAY_ID;
@@ -64,7 +179,13 @@ function buildNotificationElements() {
   const dismissOverlay = () => {
     pageContainerOverlay.remove();
   };
-  useThisTabButton.onclick = dismissOverlay;
+  // cancels the handoff and keeps this tab from being redirected again
+  useThisTabButton.onclick = () => {
+    chrome.runtime.sendMessage({ type: 'REDIRECT_KEPT_IN_TAB', sessionId }, () => {
+      void chrome.runtime.lastError;
+    });
+    dismissOverlay();
+  };
   pageContainerOverlay.onclick = dismissOverlay;
   messageCard.onclick = (e) => {
     e.stopPropagation();
@@ -78,41 +199,324 @@ function buildNotificationElements() {
   return pageContainerOverlay;
 }
 
-function buildNextMeetingAlert(onClick) {
+/**
+ * Builds the overlay explaining that no redirect happened because the Google Meet PWA isn't
+ * installed, with an action to retry once it is.
+ * @returns {HTMLDivElement} the overlay element containing the notification
+ */
+function buildPwaNotInstalledElements() {
+  const pageContainerOverlay = document.createElement('div');
+  pageContainerOverlay.className = 'meet-switch-overlay';
+  pageContainerOverlay.id = PWA_NOT_INSTALLED_OVERLAY_ID;
+
+  const messageCard = document.createElement('div');
+  messageCard.className = 'meet-switch-message-card';
+
+  const cardHeader = document.createElement('h1');
+  cardHeader.textContent = 'Google Meet PWA not installed';
+
+  const cardDescription = document.createElement('p');
+  cardDescription.textContent =
+    'SpeedyMeet could not find the Google Meet PWA, so this meeting stayed in this tab. ' +
+    'Install it from the install icon in the address bar, then click "Open in PWA".';
+
+  const btnContainer = document.createElement('div');
+  btnContainer.className = 'meet-switch-btn-container';
+
+  const openInPwaButton = document.createElement('button');
+  openInPwaButton.textContent = 'Open in PWA';
+  openInPwaButton.className = 'meet-switch-open-pwa-btn btn';
+  openInPwaButton.onclick = () => {
+    chrome.runtime.sendMessage({ type: 'OPEN_IN_PWA' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        cardDescription.textContent =
+          'The Google Meet PWA still could not be found. Install it and try again.';
+        return;
+      }
+      pageContainerOverlay.remove();
+    });
+  };
+
+  const useThisTabButton = document.createElement('button');
+  useThisTabButton.textContent = 'Use this tab';
+  useThisTabButton.className = 'meet-switch-use-tab-btn btn';
+
+  const dismissOverlay = () => {
+    pageContainerOverlay.remove();
+  };
+  useThisTabButton.onclick = dismissOverlay;
+  pageContainerOverlay.onclick = dismissOverlay;
+  messageCard.onclick = (e) => {
+    e.stopPropagation();
+  };
+
+  pageContainerOverlay.appendChild(messageCard);
+  messageCard.appendChild(cardHeader);
+  messageCard.appendChild(cardDescription);
+  btnContainer.appendChild(openInPwaButton);
+  btnContainer.appendChild(useThisTabButton);
+  messageCard.appendChild(btnContainer);
+
+  return pageContainerOverlay;
+}
+
+/**
+ * Builds one entry of the pending meetings tray.
+ * @param {object} item - the queued meeting
+ * @param {function(string): void} onAction - called with one of QUEUE_ACTIONS
+ * @returns {HTMLDivElement} the tray entry
+ */
+function buildNextMeetingAlert(item, onAction) {
   const container = document.createElement('div');
-  container.className = 'meet-next-meeting-alert';
+  container.className = 'meet-next-meeting-item';
 
+  const meetingCode = getMeetingCode(item.session.target);
   const message = document.createElement('div');
-  message.textContent = 'You have a new meeting starting!';
   message.className = 'meet-next-meeting-message';
+  message.textContent = item.session.title
+    ? `${item.session.title} (${meetingCode})`
+    : meetingCode || 'New meeting';
+
+  const arrivedAt = document.createElement('div');
+  arrivedAt.className = 'meet-next-meeting-time';
+  arrivedAt.textContent = `Arrived ${new Date(item.arrivedAt).toLocaleTimeString([], {
+    hour: 'numeric',
+    minute: '2-digit',
+  })}`;
 
   const switchBtn = document.createElement('button');
-  switchBtn.textContent = 'Switch to meeting';
+  switchBtn.textContent = 'Switch';
   switchBtn.className = 'meet-next-meeting-switch-btn btn';
-  switchBtn.onclick = () => {
-    onClick(true);
-    container.remove();
-  };
+  switchBtn.onclick = () => onAction(QUEUE_ACTIONS.SWITCH);
 
   const dismissBtn = document.createElement('button');
   dismissBtn.textContent = 'Dismiss';
   dismissBtn.className = 'meet-next-meeting-dismiss-btn btn';
-  dismissBtn.onclick = () => {
-    onClick(false);
-    container.remove();
-  };
+  dismissBtn.onclick = () => onAction(QUEUE_ACTIONS.DISMISS);
+
+  const snoozeBtn = document.createElement('button');
+  snoozeBtn.textContent = 'Snooze';
+  snoozeBtn.className = 'meet-next-meeting-secondary-btn btn';
+  snoozeBtn.onclick = () => onAction(QUEUE_ACTIONS.SNOOZE);
+
+  const afterCallBtn = document.createElement('button');
+  afterCallBtn.textContent = item.switchWhenCallEnds ? '✓ After this call' : 'After this call';
+  afterCallBtn.className = 'meet-next-meeting-secondary-btn btn';
+  afterCallBtn.setAttribute('aria-pressed', String(item.switchWhenCallEnds));
+  afterCallBtn.onclick = () => onAction(QUEUE_ACTIONS.SWITCH_WHEN_CALL_ENDS);
+
+  const details = document.createElement('div');
+  details.className = 'meet-next-meeting-details';
+  details.appendChild(message);
+  details.appendChild(arrivedAt);
 
   const btnContainer = document.createElement('div');
   btnContainer.className = 'meet-next-meeting-btn-container';
 
   btnContainer.appendChild(switchBtn);
   btnContainer.appendChild(dismissBtn);
-  container.appendChild(message);
+  btnContainer.appendChild(snoozeBtn);
+  btnContainer.appendChild(afterCallBtn);
+  container.appendChild(details);
   container.appendChild(btnContainer);
 
   return container;
 }
 
+/**
+ * Replaces the pending meetings tray with one listing the queued meetings that aren't snoozed or
+ * held back by do not disturb.
+ */
+function renderPendingMeetingsTray() {
+  const existingTray = document.getElementById(PENDING_TRAY_ID);
+  if (existingTray) {
+    existingTray.remove();
+  }
+
+  const now = Date.now();
+  const visibleItems = meetingQueue.filter(
+    (item) => !item.held && (!item.snoozedUntil || item.snoozedUntil <= now),
+  );
+  if (!visibleItems.length) {
+    return;
+  }
+
+  const tray = document.createElement('div');
+  tray.className = 'meet-next-meeting-alert';
+  tray.id = PENDING_TRAY_ID;
+
+  const header = document.createElement('div');
+  header.className = 'meet-next-meeting-header';
+  header.textContent =
+    visibleItems.length === 1 ? 'Pending meeting' : `Pending meetings (${visibleItems.length})`;
+  tray.appendChild(header);
+
+  visibleItems.forEach((item) => {
+    tray.appendChild(
+      buildNextMeetingAlert(item, (action) => handleQueuedMeetingAction(item, action)),
+    );
+  });
+
+  document.body.prepend(tray);
+}
+
+/**
+ * Persists the meeting queue and redraws the tray.
+ */
+function saveMeetingQueue() {
+  chrome.storage.local.set({ [STORAGE_KEYS.MEETING_QUEUE]: meetingQueue });
+  renderPendingMeetingsTray();
+}
+
+/**
+ * Loads the meeting queue and the switch in flight left by a previous page, dropping meetings that
+ * have gone stale.
+ * @param {function(): void} callback - called once the queue is loaded
+ */
+function loadMeetingQueue(callback) {
+  chrome.storage.local.get([STORAGE_KEYS.MEETING_QUEUE, STORAGE_KEYS.SWITCH_IN_FLIGHT], (res) => {
+    const now = Date.now();
+    switchInFlight = res[STORAGE_KEYS.SWITCH_IN_FLIGHT] || null;
+    meetingQueue = (res[STORAGE_KEYS.MEETING_QUEUE] || []).filter(
+      (item) => now - item.arrivedAt < QUEUE_ITEM_MAX_AGE_MS,
+    );
+    renderPendingMeetingsTray();
+    callback();
+  });
+}
+
+/**
+ * Adds a redirect session to the pending meetings tray. Opening the same meeting again replaces
+ * its older entry.
+ * @param {{id: string, target: string, title?: string}} session - the redirect session
+ * @param {boolean} [held] - whether to keep it out of the tray until do not disturb ends
+ */
+function queueMeeting(session, held = false) {
+  const meetingCode = getMeetingCode(session.target);
+  meetingQueue = meetingQueue.filter(
+    (item) => item.session.id !== session.id && getMeetingCode(item.session.target) !== meetingCode,
+  );
+  meetingQueue.push({
+    session,
+    arrivedAt: Date.now(),
+    snoozedUntil: null,
+    switchWhenCallEnds: false,
+    held,
+  });
+  saveMeetingQueue();
+}
+
+/**
+ * Runs an action picked from the pending meetings tray.
+ * @param {object} item - the queued meeting
+ * @param {string} action - one of QUEUE_ACTIONS
+ */
+function handleQueuedMeetingAction(item, action) {
+  switch (action) {
+    case QUEUE_ACTIONS.SWITCH:
+      meetingQueue = meetingQueue.filter((queued) => queued !== item);
+      saveMeetingQueue();
+      switchToNewCall(item.session, true);
+      break;
+    case QUEUE_ACTIONS.DISMISS:
+      meetingQueue = meetingQueue.filter((queued) => queued !== item);
+      saveMeetingQueue();
+      ignoreNewMeeting(item.session);
+      break;
+    case QUEUE_ACTIONS.SNOOZE:
+      getPreferences(['snoozeMinutes'], (res) => {
+        const minutes = res.snoozeMinutes;
+        item.snoozedUntil = Date.now() + minutes * 60 * 1000;
+        saveMeetingQueue();
+      });
+      break;
+    case QUEUE_ACTIONS.SWITCH_WHEN_CALL_ENDS:
+      item.switchWhenCallEnds = !item.switchWhenCallEnds;
+      saveMeetingQueue();
+      break;
+  }
+}
+
+/**
+ * Brings back snoozed meetings whose snooze is over.
+ */
+function wakeSnoozedMeetings() {
+  const now = Date.now();
+  const woken = meetingQueue.filter((item) => item.snoozedUntil && item.snoozedUntil <= now);
+  if (woken.length) {
+    woken.forEach((item) => {
+      item.snoozedUntil = null;
+    });
+    saveMeetingQueue();
+  }
+}
+
+/**
+ * Once a call ends, switches to the meeting picked to follow it, or offers everything still
+ * queued again, snoozed meetings included. Meetings held back by do not disturb wait for it to end.
+ */
+function offerQueuedMeetingsAfterCall() {
+  const offered = meetingQueue.filter((item) => !item.held);
+  if (offered.length) {
+    offered.forEach((item) => {
+      item.snoozedUntil = null;
+    });
+    saveMeetingQueue();
+    speakText(
+      offered.length === 1
+        ? 'You have a pending meeting'
+        : `You have ${offered.length} pending meetings`,
+    );
+  }
+}
+
+/**
+ * Shows the meetings queued quietly while do not disturb was on, now that it has ended.
+ */
+function releaseHeldMeetings() {
+  const held = meetingQueue.filter((item) => item.held);
+  if (!held.length) {
+    return;
+  }
+  held.forEach((item) => {
+    item.held = false;
+  });
+  saveMeetingQueue();
+  speakText(
+    held.length === 1
+      ? 'A meeting came in while do not disturb was on'
+      : `${held.length} meetings came in while do not disturb was on`,
+  );
+}
+
+/**
+ * Runs what should happen once a call ends: switch to the meeting picked to follow it, otherwise
+ * offer the queued meetings again and run the configured post-call action.
+ */
+function runPostCallActions() {
+  getPreferences(['postCallAction'], (res) => {
+    const postCallAction = res.postCallAction;
+    const offered = meetingQueue.filter((item) => !item.held);
+    const next =
+      offered.find((item) => item.switchWhenCallEnds) ||
+      (postCallAction === POST_CALL_ACTIONS.JOIN_NEXT ? offered[0] : null);
+    if (next) {
+      handleQueuedMeetingAction(next, QUEUE_ACTIONS.SWITCH);
+      return;
+    }
+
+    offerQueuedMeetingsAfterCall();
+    if (postCallAction === POST_CALL_ACTIONS.LANDING) {
+      window.location.href = 'https://meet.google.com/landing';
+    } else if (postCallAction === POST_CALL_ACTIONS.MINIMIZE && !offered.length) {
+      // keep the PWA up while there are queued meetings to pick from
+      chrome.runtime.sendMessage({ type: 'MINIMIZE_PWA' }, () => {
+        void chrome.runtime.lastError;
+      });
+    }
+  });
+}
+
 /**
  * Helper function to determine if currently on a call and extract meeting code
  * @returns {{onCall: boolean, meetingCode: string|null}} Object with call status and meeting code
@@ -121,7 +525,7 @@ function getCurrentCallStatus() {
   const pathMatch = window.location.pathname.match(MEETING_CODE_REGEX);
   const meetingCode = pathMatch ? pathMatch[1] : null;
   const notOnLanding = window.location.pathname !== '/landing';
-  const hasCallControls = !!document.querySelector(`[aria-label="${ARIA_LABELS.CALL_CONTROLS}"]`);
+  const hasCallControls = findCallControls();
 
   // Check if we're on a call by verifying:
   // 1. We're not on the landing page
@@ -145,9 +549,6 @@ function speakText(text) {
       {
         type: 'SPEAK_TEXT',
         text: text,
-        rate: 1.0,
-        pitch: 1.0,
-        volume: 1.0,
       },
       (response) => {
         if (chrome.runtime.lastError) {
@@ -162,16 +563,438 @@ function speakText(text) {
   }
 }
 
+/**
+ * Speaks one of the phrases in speech.js, using the user's edited template if there is one
+ * @param {string} id - the phrase id, a key of TTS_PHRASES
+ * @param {Object<string, string|number>} values - values for the phrase's placeholders; the
+ * meeting code is filled in from the page
+ */
+function speakPhrase(id, values = {}) {
+  getPreferences([TTS_PHRASES_KEY], (res) => {
+    const template = getPhraseTemplate(res[TTS_PHRASES_KEY], id);
+    speakText(formatPhrase(template, { code: getMeetingCode(location.href), ...values }));
+  });
+}
+
+/**
+ * Locates the join meeting button, by its text in the page's language (see locales.js) or else by
+ * Meet's internal name for it
+ * @returns {{element: HTMLElement|null, matchedBy: string|null}} The join button and how it was
+ * found, one of MATCHED_BY
+ */
+function locateJoinButton() {
+  const joinTexts = [...getMeetStrings('joinButtons'), ...getMeetStrings('askToJoinButtons')];
+  // skips the countdown's own "Join now" button
+  const byText = [...document.querySelectorAll('button:not([disabled])')].find(
+    (btn) =>
+      !btn.closest('.auto-join-display-container') &&
+      joinTexts.includes(btn.innerText?.trim().toLowerCase()),
+  );
+  if (byText) {
+    return { element: byText, matchedBy: MATCHED_BY.TEXT };
+  }
+  const byStructure = document.querySelector(STRUCTURAL_SELECTORS.JOIN_BUTTON);
+  return { element: byStructure, matchedBy: byStructure ? MATCHED_BY.STRUCTURE : null };
+}
+
 /**
  * Finds and returns a join meeting button if available
  * @returns {HTMLElement|null} The join button element or null if not found
  */
 function findJoinButton() {
-  return [...document.querySelectorAll('button:not([disabled])')].find((btn) =>
-    JOIN_BUTTON_TEXTS.includes(btn.innerText?.trim().toLowerCase()),
+  return locateJoinButton().element;
+}
+
+/**
+ * Checks whether a button asks the host to be let in rather than joining straight away
+ * @param {HTMLElement|null} button - the button to check
+ * @returns {boolean} True if it is an "Ask to join" button
+ */
+function isAskToJoinButton(button) {
+  return (
+    !!button && getMeetStrings('askToJoinButtons').includes(button.innerText?.trim().toLowerCase())
   );
 }
 
+/**
+ * Describes a join button the way the user sees it, e.g. "Join now" or "Ask to join"
+ * @param {HTMLElement|null} button - the join button
+ * @returns {string} The button's text, or its aria-label when it has no text
+ */
+function describeJoinButton(button) {
+  if (!button) {
+    return '';
+  }
+  return (button.innerText || button.getAttribute('aria-label') || '').trim();
+}
+
+/**
+ * Checks whether the lobby says the request to join was turned down
+ * @returns {boolean} True if the request was denied
+ */
+function isJoinRequestDenied() {
+  const pageText = (document.body.innerText || '').toLowerCase();
+  return getMeetStrings('requestDenied').some((text) => pageText.includes(text));
+}
+
+/**
+ * Asks background.js to bring the PWA into focus.
+ */
+function focusPwa() {
+  chrome.runtime.sendMessage({ type: 'FOCUS_PWA' }, () => {
+    void chrome.runtime.lastError;
+  });
+}
+
+/**
+ * Stops watching the lobby, if we are
+ */
+function stopLobbyWatch() {
+  if (activeLobbyWatch) {
+    clearInterval(activeLobbyWatch);
+    activeLobbyWatch = null;
+  }
+}
+
+/**
+ * Watches the lobby after an "Ask to join" click. Being admitted or denied is announced and brings
+ * the PWA into focus. If nobody answers within the configured timeout, asks to join again or
+ * alerts the user, depending on the settings.
+ */
+function startLobbyWatch() {
+  stopLobbyWatch();
+  console.log('Asked to join, watching the lobby');
+
+  getPreferences(['lobbyTimeoutMinutes', 'lobbyTimeoutAction'], (res) => {
+    const timeoutMinutes = res.lobbyTimeoutMinutes;
+    const timeoutAction = res.lobbyTimeoutAction;
+    let deadline = Date.now() + timeoutMinutes * 60 * 1000;
+    let retries = 0;
+
+    activeLobbyWatch = setInterval(() => {
+      if (getCurrentCallStatus().onCall) {
+        stopLobbyWatch();
+        speakPhrase('admitted');
+        focusPwa();
+        return;
+      }
+      if (isJoinRequestDenied()) {
+        stopLobbyWatch();
+        speakPhrase('denied');
+        focusPwa();
+        return;
+      }
+      if (Date.now() < deadline) {
+        return;
+      }
+
+      const askToJoinButton = findJoinButton();
+      if (
+        timeoutAction === LOBBY_TIMEOUT_ACTIONS.RETRY &&
+        retries < MAX_LOBBY_RETRIES &&
+        isAskToJoinButton(askToJoinButton)
+      ) {
+        retries++;
+        deadline = Date.now() + timeoutMinutes * 60 * 1000;
+        speakPhrase('lobbyRetry');
+        askToJoinButton.click();
+        return;
+      }
+
+      stopLobbyWatch();
+      speakPhrase('lobbyTimeout', { minutes: timeoutMinutes });
+      focusPwa();
+    }, LOBBY_CHECK_MS);
+  });
+}
+
+/**
+ * Locates the in-call controls, by their localized label or else by the leave call button
+ * @returns {{element: HTMLElement|null, matchedBy: string|null}} The call controls (or the leave
+ * call button) and how they were found, one of MATCHED_BY
+ */
+function locateCallControls() {
+  const byLabel = getMeetStrings('callControls')
+    .map((label) => document.querySelector(`[aria-label="${label}"]`))
+    .find((element) => element);
+  if (byLabel) {
+    return { element: byLabel, matchedBy: MATCHED_BY.ARIA_LABEL };
+  }
+  return locateLeaveButton(true);
+}
+
+/**
+ * Locates the leave call button, by its localized label or else by its icon
+ * @param {boolean} [onlyByIcon] - skip the label lookup
+ * @returns {{element: HTMLElement|null, matchedBy: string|null}} The leave call button and how it
+ * was found, one of MATCHED_BY
+ */
+function locateLeaveButton(onlyByIcon = false) {
+  const byLabel = onlyByIcon
+    ? null
+    : getMeetStrings('leaveCall')
+        .map((label) => document.querySelector(`[aria-label^="${label}"]`))
+        .find((element) => element);
+  if (byLabel) {
+    return { element: byLabel, matchedBy: MATCHED_BY.ARIA_LABEL };
+  }
+  const leaveIcon = [...document.querySelectorAll(STRUCTURAL_SELECTORS.BUTTON_ICONS)].find(
+    (icon) => icon.textContent.trim() === LEAVE_CALL_ICON,
+  );
+  return leaveIcon
+    ? { element: leaveIcon.closest('button, [role="button"]'), matchedBy: MATCHED_BY.STRUCTURE }
+    : { element: null, matchedBy: null };
+}
+
+/**
+ * Checks for the in-call controls
+ * @returns {boolean} True if the call controls are on the page
+ */
+function findCallControls() {
+  return !!locateCallControls().element;
+}
+
+/**
+ * Locates the mic or camera toggle, by its localized label or else by its position among Meet's
+ * media toggles. Meet appends the keyboard shortcut to some labels, e.g. "Turn off microphone
+ * (ctrl + d)", so labels are matched by prefix.
+ * @param {string} kind - one of MEDIA_KINDS
+ * @param {boolean} onlyTurnOff - only return the toggle while it would turn the device off
+ * @returns {{element: HTMLElement|null, matchedBy: string|null}} The toggle and how it was found,
+ * one of MATCHED_BY
+ */
+function locateMediaToggle(kind, onlyTurnOff) {
+  const isMic = kind === MEDIA_KINDS.MIC;
+  const labels = getMeetStrings(isMic ? 'turnOffMic' : 'turnOffCamera');
+  if (!onlyTurnOff) {
+    labels.push(...getMeetStrings(isMic ? 'turnOnMic' : 'turnOnCamera'));
+  }
+  const byLabel = labels
+    .map((label) => document.querySelector(`[aria-label^="${label}"]`))
+    .find((element) => element);
+  if (byLabel) {
+    return { element: byLabel, matchedBy: MATCHED_BY.ARIA_LABEL };
+  }
+
+  const toggle = document.querySelectorAll(STRUCTURAL_SELECTORS.MEDIA_TOGGLES)[isMic ? 0 : 1];
+  if (!toggle || (onlyTurnOff && toggle.getAttribute('data-is-muted') !== 'false')) {
+    return { element: null, matchedBy: null };
+  }
+  return { element: toggle, matchedBy: MATCHED_BY.STRUCTURE };
+}
+
+/**
+ * Finds the mic or camera toggle
+ * @param {string} kind - one of MEDIA_KINDS
+ * @param {boolean} onlyTurnOff - only return the toggle while it would turn the device off
+ * @returns {HTMLElement|null} The toggle or null if not found
+ */
+function findMediaToggle(kind, onlyTurnOff) {
+  return locateMediaToggle(kind, onlyTurnOff).element;
+}
+
+/**
+ * Locates a pre-join device menu, by its localized label or else by its icon. Meet goes on to name
+ * the device in use in the label, e.g. "Microphone: Jabra Evolve2 65", so labels are matched by
+ * prefix.
+ * @param {object} device - one of PREFERRED_DEVICES
+ * @returns {{element: HTMLElement|null, matchedBy: string|null}} The menu button and how it was
+ * found, one of MATCHED_BY
+ */
+function locateDevicePicker(device) {
+  const byLabel = getMeetStrings(device.labelKey)
+    .map((label) =>
+      document.querySelector(`${STRUCTURAL_SELECTORS.DEVICE_PICKERS}[aria-label^="${label}"]`),
+    )
+    .find((element) => element);
+  if (byLabel) {
+    return { element: byLabel, matchedBy: MATCHED_BY.ARIA_LABEL };
+  }
+  // the mic and camera toggles share the icons, but don't open a menu
+  const icon = [...document.querySelectorAll(`${STRUCTURAL_SELECTORS.DEVICE_PICKERS} i`)].find(
+    (element) => device.icons.includes(element.textContent.trim()),
+  );
+  return icon
+    ? {
+        element: icon.closest(STRUCTURAL_SELECTORS.DEVICE_PICKERS),
+        matchedBy: MATCHED_BY.STRUCTURE,
+      }
+    : { element: null, matchedBy: null };
+}
+
+/**
+ * Picks the first preferred device that is plugged in.
+ * @param {Array<string>} preferred - device labels, or parts of them, in order of preference
+ * @param {Array<MediaDeviceInfo>} devices - the devices of the kind to pick
+ * @returns {string|null} the full label of the device to use, or null if none is available
+ */
+function pickPreferredDevice(preferred, devices) {
+  // Chrome lists the default devices again under these ids, named after the devices they stand for
+  const named = devices.filter(
+    ({ deviceId, label }) => label && deviceId !== 'default' && deviceId !== 'communications',
+  );
+  for (const wanted of preferred) {
+    const text = typeof wanted === 'string' ? wanted.trim().toLowerCase() : '';
+    const device = text && named.find(({ label }) => label.toLowerCase().includes(text));
+    if (device) {
+      return device.label;
+    }
+  }
+  return null;
+}
+
+/**
+ * Selects a device in its pre-join menu, unless it is already in use: opens the menu, then clicks
+ * the device's entry. The menu is closed again if the entry doesn't show up.
+ * @param {object} device - one of PREFERRED_DEVICES
+ * @param {string} label - the full label of the device to select
+ * @param {function(): void} callback - called once selected, or given up on
+ */
+function selectDevice(device, label, callback) {
+  const start = Date.now();
+  let menuOpened = false;
+  const interval = setInterval(() => {
+    const finish = () => {
+      clearInterval(interval);
+      callback();
+    };
+
+    if (!menuOpened) {
+      const picker = locateDevicePicker(device).element;
+      if (picker) {
+        const inUse = `${picker.getAttribute('aria-label') || ''} ${picker.innerText || ''}`;
+        if (!inUse.includes(label)) {
+          picker.click();
+          menuOpened = true;
+          return;
+        }
+        console.log(`Preferred ${device.name} already in use:`, label);
+        finish();
+        return;
+      }
+    } else {
+      const option = [...document.querySelectorAll(STRUCTURAL_SELECTORS.DEVICE_OPTIONS)].find(
+        (element) => element.offsetParent !== null && element.textContent.includes(label),
+      );
+      if (option) {
+        console.log(`Selecting preferred ${device.name}:`, label);
+        option.click();
+        finish();
+        return;
+      }
+    }
+
+    if (Date.now() - start > DEVICE_PICKER_TIMEOUT_MS) {
+      const name = menuOpened ? `${device.name} menu entry` : `${device.name} menu`;
+      console.warn(`Gave up looking for the ${name} after ${DEVICE_PICKER_TIMEOUT_MS}ms`);
+      selectorTimeouts.push({ name, url: window.location.href, at: new Date().toISOString() });
+      if (menuOpened) {
+        (document.activeElement || document.body).dispatchEvent(
+          new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }),
+        );
+      }
+      finish();
+    }
+  }, DEFAULT_INTERVAL_MS);
+}
+
+/**
+ * Selects the first available device of each preferred list on the pre-join screen, one menu at a
+ * time, before the meeting is joined on whatever Meet picked.
+ * @param {object} settings - the meeting's settings, holding the preferred lists by preference
+ * @param {function(): void} callback - called once every device has been selected or given up on
+ */
+function selectPreferredDevices(settings, callback) {
+  const wanted = PREFERRED_DEVICES.filter(({ preference }) => settings[preference].length);
+  if (!wanted.length) {
+    callback();
+    return;
+  }
+
+  // labels are only listed once Meet has been allowed to use the devices
+  navigator.mediaDevices.enumerateDevices().then(
+    (devices) => {
+      const picks = wanted
+        .map((device) => ({
+          device,
+          label: pickPreferredDevice(
+            settings[device.preference],
+            devices.filter(({ kind }) => kind === device.deviceKind),
+          ),
+        }))
+        .filter(({ label }) => label);
+      const selectNext = (index) => {
+        if (index >= picks.length) {
+          callback();
+          return;
+        }
+        selectDevice(picks[index].device, picks[index].label, () => selectNext(index + 1));
+      };
+      selectNext(0);
+    },
+    (error) => {
+      console.warn('Could not list media devices:', error);
+      callback();
+    },
+  );
+}
+
+/**
+ * Describes an element for the diagnostics report
+ * @param {{element: HTMLElement|null, matchedBy: string|null}} located - the located element
+ * @returns {object} whether it was found, how, and its text and ARIA label
+ */
+function describeLocatedElement({ element, matchedBy }) {
+  return {
+    found: !!element,
+    matchedBy,
+    text: element ? (element.innerText || '').trim().slice(0, 80) : null,
+    ariaLabel: element ? element.getAttribute('aria-label') : null,
+  };
+}
+
+/**
+ * Collects what the extension can and can't find on the page, to paste into bug reports when
+ * Meet's DOM changes.
+ * @returns {object} the diagnostics report
+ */
+function collectDiagnostics() {
+  const buttons = [...document.querySelectorAll('button, [role="button"]')]
+    .map((element) => ({
+      text: (element.innerText || '').trim().replace(/\s+/g, ' ').slice(0, 60),
+      ariaLabel: element.getAttribute('aria-label'),
+      disabled: element.hasAttribute('disabled'),
+    }))
+    .filter((button) => button.text || button.ariaLabel)
+    .slice(0, DIAGNOSTICS_MAX_BUTTONS);
+
+  return {
+    extensionVersion: chrome.runtime.getManifest().version,
+    collectedAt: new Date().toISOString(),
+    url: window.location.href,
+    pageLang: document.documentElement.lang || null,
+    userAgent: navigator.userAgent,
+    isPwa: isPwa(),
+    callStatus: getCurrentCallStatus(),
+    countdownActive: isCountdownActive(),
+    elements: {
+      joinButton: describeLocatedElement(locateJoinButton()),
+      micToggle: describeLocatedElement(locateMediaToggle(MEDIA_KINDS.MIC, false)),
+      cameraToggle: describeLocatedElement(locateMediaToggle(MEDIA_KINDS.CAMERA, false)),
+      callControls: describeLocatedElement(locateCallControls()),
+      leaveButton: describeLocatedElement(locateLeaveButton()),
+      ...Object.fromEntries(
+        PREFERRED_DEVICES.map((device) => [
+          `${device.name}Picker`,
+          describeLocatedElement(locateDevicePicker(device)),
+        ]),
+      ),
+    },
+    selectorTimeouts,
+    buttons,
+  };
+}
+
 /**
  * Checks if a countdown is currently active
  * @returns {boolean} True if a countdown is active
@@ -199,8 +1022,8 @@ function cancelActiveCountdown() {
  * @param {number} ttsInterval - Interval in seconds for TTS announcements
  */
 function startAutoJoinCountdown(
-  duration = DEFAULT_COUNTDOWN_DURATION,
-  ttsInterval = TTS_ANNOUNCEMENT_INTERVAL,
+  duration = PREFERENCE_SCHEMA.countdownDuration.default,
+  ttsInterval = PREFERENCE_SCHEMA.ttsAnnouncementInterval.default,
 ) {
   // Cancel any existing countdown first
   cancelActiveCountdown();
@@ -213,20 +1036,48 @@ function startAutoJoinCountdown(
 
   let countdown = duration;
   let countdownInterval;
+  let paused = false;
+  // label of the join button as last announced, so a change to it can be called out
+  let joinButtonLabel = describeJoinButton(joinMeetingButton);
 
-  // Create countdown display element
+  // Create countdown display element, read out by screen readers as it changes
   const countdownDisplay = document.createElement('div');
   countdownDisplay.className = 'auto-join-countdown-display';
+  countdownDisplay.setAttribute('role', 'status');
+  countdownDisplay.setAttribute('aria-live', 'polite');
+  countdownDisplay.setAttribute('aria-atomic', 'true');
+
+  // Create control buttons
+  const pauseButton = document.createElement('button');
+  pauseButton.className = 'auto-join-control-btn btn';
+  pauseButton.setAttribute('aria-pressed', 'false');
+
+  const extendButton = document.createElement('button');
+  extendButton.innerText = `+${COUNTDOWN_EXTEND_SECONDS}s`;
+  extendButton.className = 'auto-join-control-btn btn';
+  extendButton.setAttribute('aria-label', `Add ${COUNTDOWN_EXTEND_SECONDS} seconds`);
+
+  const joinNowButton = document.createElement('button');
+  joinNowButton.innerText = 'Join now';
+  joinNowButton.className = 'auto-join-join-now-btn btn';
 
-  // Create cancel button
   const cancelButton = document.createElement('button');
   cancelButton.innerText = 'Cancel Auto-Join';
   cancelButton.className = 'auto-join-cancel-btn btn';
 
+  const controls = document.createElement('div');
+  controls.className = 'auto-join-controls';
+  controls.appendChild(pauseButton);
+  controls.appendChild(extendButton);
+  controls.appendChild(joinNowButton);
+  controls.appendChild(cancelButton);
+
   const displayContainer = document.createElement('div');
   displayContainer.className = 'auto-join-display-container';
+  displayContainer.setAttribute('role', 'group');
+  displayContainer.setAttribute('aria-label', 'Auto-join countdown');
   displayContainer.appendChild(countdownDisplay);
-  displayContainer.appendChild(cancelButton);
+  displayContainer.appendChild(controls);
 
   // Function to check if elements are still on screen and visible
   function areElementsVisible() {
@@ -263,17 +1114,25 @@ function startAutoJoinCountdown(
     return true;
   }
 
+  // Announces the join button changing, e.g. from "Join now" to "Ask to join"
+  function checkJoinButtonLabel(joinButton) {
+    const label = describeJoinButton(joinButton);
+    if (!label || label === joinButtonLabel) {
+      return;
+    }
+    console.log(`Join button changed from "${joinButtonLabel}" to "${label}"`);
+    speakPhrase('joinButtonChanged', { button: label });
+    joinButtonLabel = label;
+  }
+
   // Function to cleanup and restore original state
   function cleanup() {
     if (countdownInterval) {
       clearInterval(countdownInterval);
       countdownInterval = null;
     }
-    if (countdownDisplay && countdownDisplay.parentNode) {
-      countdownDisplay.remove();
-    }
-    if (cancelButton && cancelButton.parentNode) {
-      cancelButton.remove();
+    if (displayContainer.parentNode) {
+      displayContainer.remove();
     }
     // Clear global state
     if (activeCountdown && activeCountdown.cleanup === cleanup) {
@@ -282,14 +1141,49 @@ function startAutoJoinCountdown(
     console.log('Auto-join countdown cleanup completed');
   }
 
-  // Cancel button click handler
-  cancelButton.onclick = () => {
+  // Stop the countdown without joining
+  function cancel() {
     console.log('Auto-join cancelled by user');
-    speakText('Auto-join cancelled');
+    speakPhrase('countdownCancelled');
+    cleanup();
+  }
+
+  // End the countdown and click the join button
+  function joinNow() {
+    console.log('Auto-join countdown completed - joining meeting now');
     cleanup();
-  };
 
-  // Insert countdown display and cancel button after join button
+    // Click the join button, saying first if it is no longer the one the countdown started with
+    const finalJoinButton = findJoinButton();
+    checkJoinButtonLabel(finalJoinButton);
+    speakPhrase('joining');
+    if (finalJoinButton) {
+      finalJoinButton.click();
+    }
+  }
+
+  // Stop or restart the clock without leaving the countdown
+  function togglePause() {
+    paused = !paused;
+    console.log(`Auto-join countdown ${paused ? 'paused' : 'resumed'}`);
+    speakPhrase(paused ? 'countdownPaused' : 'countdownResumed', { seconds: countdown });
+    updateCountdownDisplay();
+  }
+
+  // Give the user more time before joining
+  function extend(seconds = COUNTDOWN_EXTEND_SECONDS) {
+    countdown += seconds;
+    console.log(`Auto-join countdown extended by ${seconds} seconds`);
+    speakPhrase('countdownTick', { seconds: countdown });
+    updateCountdownDisplay();
+  }
+
+  pauseButton.onclick = togglePause;
+  extendButton.onclick = () => extend();
+  joinNowButton.onclick = joinNow;
+  cancelButton.onclick = cancel;
+
+  // Insert countdown display and controls after join button
   if (joinMeetingButton.parentNode) {
     joinMeetingButton.parentNode.insertBefore(displayContainer, joinMeetingButton.nextSibling);
     joinMeetingButton.parentNode.className += ' auto-join-active';
@@ -297,61 +1191,67 @@ function startAutoJoinCountdown(
 
   // Update countdown display
   function updateCountdownDisplay() {
-    countdownDisplay.textContent = `Auto-joining in ${countdown}s`;
+    countdownDisplay.textContent = paused
+      ? `Auto-join paused at ${countdown}s`
+      : `Auto-joining in ${countdown}s`;
+    pauseButton.innerText = paused ? 'Resume' : 'Pause';
+    pauseButton.setAttribute('aria-pressed', String(paused));
   }
 
   console.log(`Starting auto-join countdown: ${duration} seconds`);
-  speakText(`Auto-joining meeting in ${countdown} seconds`);
+  speakPhrase('countdownStart', { seconds: countdown });
   updateCountdownDisplay();
 
   countdownInterval = setInterval(() => {
-    countdown--;
-    console.log(`Auto-join countdown: ${countdown} seconds remaining`);
+    // Check if elements are still visible
+    const visibility = areElementsVisible();
 
-    if (countdown > 0) {
-      // Check if elements are still visible
-      const visibility = areElementsVisible();
+    if (!visibility.bothVisible) {
+      console.log('Countdown elements not visible:', visibility);
 
-      if (!visibility.bothVisible) {
-        console.log('Countdown elements not visible:', visibility);
-
-        // Try to re-add elements
-        if (!reAddElements()) {
-          console.log('Failed to re-add elements, stopping countdown');
-          cleanup();
-          return;
-        }
+      // Try to re-add elements
+      if (!reAddElements()) {
+        console.log('Failed to re-add elements, stopping countdown');
+        cleanup();
+        return;
       }
+    }
+
+    checkJoinButtonLabel(findJoinButton());
+
+    if (paused) {
+      return;
+    }
+
+    countdown--;
+    console.log(`Auto-join countdown: ${countdown} seconds remaining`);
 
+    if (countdown > 0) {
       updateCountdownDisplay();
 
       // Announce every N seconds
       if (ttsInterval > 0 && countdown % ttsInterval === 0) {
-        speakText(`Auto-joining in ${countdown} seconds`);
+        speakPhrase('countdownTick', { seconds: countdown });
       }
     } else {
-      console.log('Auto-join countdown completed - joining meeting now');
-      speakText('Joining meeting now');
-      cleanup();
-
-      // Click the join button
-      const finalJoinButton = findJoinButton();
-      if (finalJoinButton) {
-        finalJoinButton.click();
-      }
+      joinNow();
     }
   }, 1000);
 
   // Store the countdown in global state
   activeCountdown = {
     cleanup,
+    cancel,
+    joinNow,
+    togglePause,
+    extend,
     duration,
     startTime: Date.now(),
   };
 }
 
 function disableVideoAndMicConfig(joiningNewMeeting) {
-  chrome.storage.local.get(
+  getPreferences(
     [
       'disableMic',
       'disableVideo',
@@ -359,25 +1259,63 @@ function disableVideoAndMicConfig(joiningNewMeeting) {
       'autoJoin',
       'countdownDuration',
       'ttsAnnouncementInterval',
+      'preferredMics',
+      'preferredSpeakers',
+      'preferredCameras',
+      MEETING_RULES_KEY,
+      STORAGE_KEYS.MEETING_OVERRIDES,
     ],
-    (res) => {
-      // Helper to run interval with timeout
-      function runInterval(fn, intervalMs = DEFAULT_INTERVAL_MS, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    (stored) => {
+      // the first matching meeting rule overrides the global settings
+      const { settings: ruleSettings, rule } = resolveMeetingSettings(
+        stored,
+        stored[MEETING_RULES_KEY],
+        window.location.href,
+      );
+      if (rule) {
+        console.log('Applying meeting rule:', rule.name || rule.id);
+      }
+
+      // and whatever the meeting was opened with overrides both, e.g. from the external API
+      let res = ruleSettings;
+      const meetingOverrides = stored[STORAGE_KEYS.MEETING_OVERRIDES];
+      if (
+        meetingOverrides &&
+        meetingOverrides.meetingCode === getMeetingCode(window.location.href)
+      ) {
+        console.log('Applying settings the meeting was opened with:', meetingOverrides.overrides);
+        res = applySettingOverrides(ruleSettings, meetingOverrides.overrides);
+        chrome.storage.local.remove(STORAGE_KEYS.MEETING_OVERRIDES);
+      }
+
+      // Helper to run interval with timeout, recording what it gave up on for diagnostics
+      function runInterval(
+        name,
+        fn,
+        intervalMs = DEFAULT_INTERVAL_MS,
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+      ) {
         const start = Date.now();
         const interval = setInterval(() => {
           const done = fn();
-          if (done || Date.now() - start > timeoutMs) {
+          if (done) {
+            clearInterval(interval);
+          } else if (Date.now() - start > timeoutMs) {
             clearInterval(interval);
+            console.warn(`Gave up looking for the ${name} after ${timeoutMs}ms`);
+            selectorTimeouts.push({
+              name,
+              url: window.location.href,
+              at: new Date().toISOString(),
+            });
           }
         }, intervalMs);
       }
 
       // Mic button interval
       if (res.disableMic) {
-        runInterval(() => {
-          const disableMicBtn = document.querySelector(
-            `[aria-label="${ARIA_LABELS.TURN_OFF_MIC}"]`,
-          );
+        runInterval('mic toggle', () => {
+          const disableMicBtn = findMediaToggle(MEDIA_KINDS.MIC, true);
           if (disableMicBtn) {
             disableMicBtn.click();
             return true;
@@ -388,10 +1326,8 @@ function disableVideoAndMicConfig(joiningNewMeeting) {
 
       // Video button interval
       if (res.disableVideo) {
-        runInterval(() => {
-          const disableVideoBtn = document.querySelector(
-            `[aria-label="${ARIA_LABELS.TURN_OFF_CAMERA}"]`,
-          );
+        runInterval('camera toggle', () => {
+          const disableVideoBtn = findMediaToggle(MEDIA_KINDS.CAMERA, true);
           if (disableVideoBtn) {
             disableVideoBtn.click();
             return true;
@@ -401,52 +1337,71 @@ function disableVideoAndMicConfig(joiningNewMeeting) {
       }
 
       if (joiningNewMeeting) {
-        // Join meeting button interval
-        if (res.shouldAutoJoinOverride) {
-          runInterval(() => {
-            const joinMeetingButton = findJoinButton();
-            const { onCall } = getCurrentCallStatus();
-            if (joinMeetingButton && !onCall) {
-              chrome.storage.local.set({
-                [STORAGE_KEYS.SHOULD_AUTO_JOIN_OVERRIDE]: false,
-              });
-              joinMeetingButton.click();
-              return true;
-            }
-            return false;
-          });
-        } else if (res.autoJoin) {
-          const countdownDuration = res.countdownDuration || DEFAULT_COUNTDOWN_DURATION;
-          const ttsInterval = res.ttsAnnouncementInterval || TTS_ANNOUNCEMENT_INTERVAL;
-          runInterval(() => {
-            const joinMeetingButton = findJoinButton();
-            const { onCall } = getCurrentCallStatus();
-            if (joinMeetingButton && !onCall) {
-              startAutoJoinCountdown(countdownDuration, ttsInterval);
-              return true;
-            }
-            return false;
-          });
-        }
+        // switch to the preferred devices first, so the meeting isn't joined on the wrong ones
+        selectPreferredDevices(res, () => {
+          // Join meeting button interval
+          if (res.shouldAutoJoinOverride) {
+            runInterval('join button', () => {
+              const joinMeetingButton = findJoinButton();
+              const { onCall } = getCurrentCallStatus();
+              if (joinMeetingButton && !onCall) {
+                chrome.storage.local.set({
+                  [STORAGE_KEYS.SHOULD_AUTO_JOIN_OVERRIDE]: false,
+                });
+                joinMeetingButton.click();
+                return true;
+              }
+              return false;
+            });
+          } else if (res.autoJoin) {
+            const countdownDuration = res.countdownDuration;
+            const ttsInterval = res.ttsAnnouncementInterval;
+            runInterval('join button', () => {
+              const joinMeetingButton = findJoinButton();
+              const { onCall } = getCurrentCallStatus();
+              if (joinMeetingButton && !onCall) {
+                startAutoJoinCountdown(countdownDuration, ttsInterval);
+                return true;
+              }
+              return false;
+            });
+          }
+        });
       }
     },
   );
 }
 
-function switchToNewCall(changes, fromAlert) {
-  const newPath = changes['queryParams'].newValue;
-  const newQueryParams = newPath.includes('?')
-    ? newPath.includes('authuser=')
-      ? newPath
-      : newPath + '&authuser=0'
-    : newPath + '?authuser=0';
+/**
+ * Opens the meeting of a redirect session in the PWA.
+ * @param {{id: string, target: string, overrides?: object}} session - the redirect session handed
+ * over by background.js, with any settings it asks the meeting to be joined with
+ * @param {boolean} [fromAlert] - whether the user chose to switch from the next meeting alert
+ */
+function switchToNewCall(session, fromAlert) {
+  // opening meeting so we can close original tab
+  closeOriginalTab(session);
+
+  switchInFlight = {
+    sessionId: session.id,
+    meetingCode: getMeetingCode(session.target),
+    startedAt: Date.now(),
+  };
+  chrome.storage.local.set({ [STORAGE_KEYS.SWITCH_IN_FLIGHT]: switchInFlight });
 
+  if (session.overrides) {
+    chrome.storage.local.set({
+      [STORAGE_KEYS.MEETING_OVERRIDES]: {
+        meetingCode: getMeetingCode(session.target),
+        overrides: session.overrides,
+      },
+    });
+  }
+
+  // background.js already routed the target to the right account through its authuser
   const currentHref = window.location.href;
-  const newHref = 'https://meet.google.com/' + newQueryParams;
+  const newHref = 'https://meet.google.com/' + session.target;
   if (currentHref !== newHref) {
-    // opening meeting so we can close original tab
-    closeOriginalTab();
-
     if (fromAlert) {
       // if switching to new meeting manually should auto join
       chrome.storage.local.set({
@@ -454,87 +1409,363 @@ function switchToNewCall(changes, fromAlert) {
       });
     }
 
-    window.location.href = 'https://meet.google.com/' + newQueryParams;
+    window.location.href = newHref;
   }
 
-  // close original tab
-  closeOriginalTab();
-
   // disable mic & video if configured
   disableVideoAndMicConfig(true);
 }
 
-function closeOriginalTab() {
-  // close original tab
-  chrome.storage.local.set({
-    [STORAGE_KEYS.GOOGLE_MEET_OPENED_URL]: new Date().toISOString(),
+/**
+ * Tells background.js the PWA took over the redirect session so it can close the original tab.
+ * @param {{id: string}} session - the redirect session that was opened
+ * @param {boolean} [alertShown] - whether the next meeting alert is asking the user first
+ */
+function closeOriginalTab(session, alertShown = false) {
+  chrome.runtime.sendMessage({ type: 'REDIRECT_OPENED', sessionId: session.id, alertShown }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('Failed to report redirect opened:', chrome.runtime.lastError);
+    }
   });
 }
 
-function ignoreNewMeeting() {
-  chrome.storage.local.set({
-    [STORAGE_KEYS.ORIGINATING_TAB_ID]: '',
-    [STORAGE_KEYS.QUERY_PARAMS]: '__gmInitialState',
-    source: '',
-    [STORAGE_KEYS.GOOGLE_MEET_DECLINED_URL]: new Date().toISOString(),
+/**
+ * Tells background.js the user declined the redirect session from the next meeting alert.
+ * @param {{id: string}} session - the redirect session that was declined
+ */
+function ignoreNewMeeting(session) {
+  chrome.runtime.sendMessage({ type: 'REDIRECT_DECLINED', sessionId: session.id }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('Failed to report redirect declined:', chrome.runtime.lastError);
+    }
   });
 }
 
-(() => {
-  if (isPwa()) {
-    chrome.storage.onChanged.addListener(function (changes) {
-      if (
-        changes[STORAGE_KEYS.QUERY_PARAMS] &&
-        changes[STORAGE_KEYS.QUERY_PARAMS].newValue !== '__gmInitialState'
-      ) {
-        const { onCall, meetingCode: currentMeetingCode } = getCurrentCallStatus();
-        const [newMeetingCode] =
-          changes[STORAGE_KEYS.QUERY_PARAMS].newValue.match(MEETING_CODE_REGEX) || [];
+/**
+ * Handles a redirect session handed over to the PWA by background.js.
+ * @param {{id: string, target: string, quiet?: boolean}} session - the pending redirect session,
+ * quiet when do not disturb is on and it is to be queued without showing it
+ */
+function handleRedirectRequest(session) {
+  const { onCall, meetingCode: currentMeetingCode } = getCurrentCallStatus();
+  const [newMeetingCode] = session.target.match(MEETING_CODE_REGEX) || [];
 
-        // if same meeting
-        if (onCall && newMeetingCode === currentMeetingCode) {
-          closeOriginalTab();
-          return;
-        }
-        // if different meeting and on call
-        if (onCall) {
-          document.body.prepend(
-            buildNextMeetingAlert((shouldSwitch) => {
-              if (shouldSwitch) {
-                switchToNewCall(changes, true);
-              } else {
-                ignoreNewMeeting();
-              }
-            }),
-          );
-          // close original tab once the ui is shown
-          closeOriginalTab();
-        } else {
-          switchToNewCall(changes);
-        }
+  // if same meeting
+  if (onCall && newMeetingCode === currentMeetingCode) {
+    closeOriginalTab(session);
+    return;
+  }
+  if (session.quiet) {
+    queueMeeting(session, true);
+    closeOriginalTab(session, true);
+    return;
+  }
+  const switching = switchInFlight && Date.now() - switchInFlight.startedAt < SWITCH_SETTLE_MS;
+  // handed over again once the meeting being switched to is ready
+  if (switching && switchInFlight.sessionId === session.id) {
+    closeOriginalTab(session);
+    return;
+  }
+  // if different meeting and on call, or still switching to another one
+  if (onCall || (switching && getMeetingCode(session.target) !== switchInFlight.meetingCode)) {
+    queueMeeting(session);
+    // close original tab once the ui is shown
+    closeOriginalTab(session, true);
+  } else {
+    switchToNewCall(session);
+  }
+}
+
+/**
+ * Drops a meeting the user chose to keep in its original tab. A queued meeting leaves the pending
+ * meetings tray; if the PWA already switched to it, auto-join is stopped so it isn't joined twice.
+ * @param {{id: string, target: string}} session - the cancelled redirect session
+ */
+function handleRedirectCancelled(session) {
+  if (meetingQueue.some((item) => item.session.id === session.id)) {
+    meetingQueue = meetingQueue.filter((item) => item.session.id !== session.id);
+    saveMeetingQueue();
+    return;
+  }
+
+  const { onCall, meetingCode } = getCurrentCallStatus();
+  if (!onCall && meetingCode && meetingCode.toLowerCase() === getMeetingCode(session.target)) {
+    cancelActiveCountdown();
+  }
+}
+
+/**
+ * Runs a keyboard shortcut routed from background.js on the page.
+ * @param {string} command - one of COMMANDS
+ * @returns {boolean} true if there was something on the page for the command to act on
+ */
+function runCommand(command) {
+  switch (command) {
+    case COMMANDS.ACCEPT_NEXT_MEETING:
+    case COMMANDS.DISMISS_NEXT_MEETING: {
+      const selector =
+        command === COMMANDS.ACCEPT_NEXT_MEETING
+          ? '.meet-next-meeting-switch-btn'
+          : '.meet-next-meeting-dismiss-btn';
+      const button = document.querySelector(selector);
+      if (button) {
+        button.click();
+        return true;
       }
-    });
+      return false;
+    }
+    case COMMANDS.CANCEL_AUTO_JOIN:
+      if (isCountdownActive()) {
+        activeCountdown.cancel();
+        return true;
+      }
+      return false;
+    case COMMANDS.SKIP_AUTO_JOIN_COUNTDOWN:
+      if (isCountdownActive()) {
+        activeCountdown.joinNow();
+        return true;
+      }
+      return false;
+    case COMMANDS.PAUSE_AUTO_JOIN_COUNTDOWN:
+      if (isCountdownActive()) {
+        activeCountdown.togglePause();
+        return true;
+      }
+      return false;
+    case COMMANDS.EXTEND_AUTO_JOIN_COUNTDOWN:
+      if (isCountdownActive()) {
+        activeCountdown.extend();
+        return true;
+      }
+      return false;
+    case COMMANDS.TOGGLE_MIC:
+    case COMMANDS.TOGGLE_CAMERA: {
+      const toggle = findMediaToggle(
+        command === COMMANDS.TOGGLE_MIC ? MEDIA_KINDS.MIC : MEDIA_KINDS.CAMERA,
+        false,
+      );
+      if (toggle) {
+        toggle.click();
+        return true;
+      }
+      return false;
+    }
+    case COMMANDS.LEAVE_CALL: {
+      const leaveButton = locateLeaveButton().element;
+      if (leaveButton) {
+        leaveButton.click();
+        return true;
+      }
+      return false;
+    }
+    default:
+      return false;
+  }
+}
 
-    setTimeout(() => {
-      const { onCall } = getCurrentCallStatus();
-      disableVideoAndMicConfig(!onCall);
-    }, INITIALIZATION_DELAY_MS);
-  } else {
-    // Normal tab, add listener to replace UI with
-    chrome.storage.onChanged.addListener(function (changes) {
-      if (
-        changes[STORAGE_KEYS.ORIGINATING_TAB_ID] &&
-        changes[STORAGE_KEYS.ORIGINATING_TAB_ID].newValue
-      ) {
-        document.body.appendChild(buildNotificationElements());
+/**
+ * Watches for the PWA joining and leaving calls and reports both to background.js, which records
+ * them in the meeting history. Leaving is only reported once the call controls have been gone for
+ * CALL_END_CONFIRM_MS, as Meet briefly removes them while re-rendering, e.g. when presenting.
+ * @param {function(): void} onCallEnded - called when a call ends while the page stays open
+ */
+function watchCallStatus(onCallEnded) {
+  let currentCall = null;
+  let offCallSince = null;
+
+  const reportCallLeft = (leftAt = Date.now()) => {
+    if (currentCall) {
+      chrome.runtime.sendMessage({ type: 'CALL_LEFT', meetingCode: currentCall, leftAt }, () => {
+        void chrome.runtime.lastError;
+      });
+      currentCall = null;
+    }
+  };
+
+  setInterval(() => {
+    const { onCall, meetingCode } = getCurrentCallStatus();
+    if (onCall) {
+      offCallSince = null;
+      if (currentCall !== meetingCode) {
+        reportCallLeft();
+        currentCall = meetingCode;
+        chrome.runtime.sendMessage({ type: 'CALL_JOINED', meetingCode }, () => {
+          void chrome.runtime.lastError;
+        });
       }
-      if (changes[STORAGE_KEYS.GOOGLE_MEET_DECLINED_URL] && document.getElementById(OVERLAY_ID)) {
-        document.getElementById(OVERLAY_ID).remove();
+      return;
+    }
+
+    if (!currentCall) {
+      return;
+    }
+    offCallSince = offCallSince || Date.now();
+    if (Date.now() - offCallSince >= CALL_END_CONFIRM_MS) {
+      console.log('Call ended:', currentCall);
+      reportCallLeft(offCallSince);
+      offCallSince = null;
+      onCallEnded();
+    }
+  }, CALL_STATUS_POLL_MS);
+
+  // navigating the PWA to another meeting ends the current call
+  window.addEventListener('pagehide', () => reportCallLeft());
+}
+
+/**
+ * Counts the people in the call from their video tiles.
+ * @returns {number} the number of participants, 0 when none could be found
+ */
+function countParticipants() {
+  const ids = [...document.querySelectorAll(STRUCTURAL_SELECTORS.PARTICIPANT_TILES)].map((tile) =>
+    tile.getAttribute('data-participant-id'),
+  );
+  return new Set(ids).size;
+}
+
+/**
+ * Leaves the call once the user has been alone in it for the configured number of minutes.
+ */
+function watchAloneInCall() {
+  let aloneSince = null;
+
+  setInterval(() => {
+    const { onCall } = getCurrentCallStatus();
+    // no tiles at all means they couldn't be found, rather than that nobody is there
+    if (!onCall || countParticipants() !== 1) {
+      aloneSince = null;
+      return;
+    }
+    aloneSince = aloneSince || Date.now();
+
+    getPreferences(['autoLeaveAloneMinutes'], (res) => {
+      const minutes = res.autoLeaveAloneMinutes;
+      if (!minutes || !aloneSince || Date.now() - aloneSince < minutes * 60 * 1000) {
+        return;
+      }
+
+      const leaveButton = locateLeaveButton().element;
+      if (leaveButton) {
+        console.log(`Alone in the call for ${minutes} minutes, leaving`);
+        speakPhrase('leavingAlone', { minutes });
+        aloneSince = null;
+        leaveButton.click();
       }
     });
-  }
+  }, ALONE_CHECK_MS);
+}
+
+(() => {
+  // the popup can run diagnostics in the Meet window and in normal tabs alike
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'RUN_DIAGNOSTICS') {
+      sendResponse(collectDiagnostics());
+    }
+  });
+
+  isMeetWindow((inMeetWindow) => {
+    if (inMeetWindow) {
+      chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === 'REDIRECT_REQUEST') {
+          handleRedirectRequest(message.session);
+          sendResponse({ success: true });
+        } else if (message.type === 'REDIRECT_CANCELLED') {
+          handleRedirectCancelled(message.session);
+          sendResponse({ success: true });
+        } else if (message.type === 'QUEUED_MEETING_ACTION') {
+          // Switch or Dismiss picked on the notification mirroring the tray
+          const item = meetingQueue.find((queued) => queued.session.id === message.sessionId);
+          if (item) {
+            handleQueuedMeetingAction(item, message.action);
+          }
+          sendResponse({ success: !!item });
+        } else if (message.type === 'DND_ENDED') {
+          releaseHeldMeetings();
+          sendResponse({ success: true });
+        } else if (message.type === 'RUN_COMMAND') {
+          const handled = runCommand(message.command);
+          console.log('Ran command', message.command, handled ? '' : '(nothing to act on)');
+          sendResponse({ success: handled });
+        }
+      });
+
+      // let background.js know we're listening so it can hand over any pending redirect sessions,
+      // once the meetings queued by the previous page are back
+      loadMeetingQueue(() => {
+        chrome.runtime.sendMessage({ type: 'PWA_READY' }, (response) => {
+          if (chrome.runtime.lastError) {
+            console.warn('Failed to report PWA ready:', chrome.runtime.lastError);
+          } else if (response && !response.doNotDisturb) {
+            releaseHeldMeetings();
+          }
+        });
+      });
+      setInterval(wakeSnoozedMeetings, SNOOZE_CHECK_MS);
+
+      setTimeout(() => {
+        const { onCall } = getCurrentCallStatus();
+        disableVideoAndMicConfig(!onCall);
+      }, INITIALIZATION_DELAY_MS);
+
+      watchCallStatus(runPostCallActions);
+      watchAloneInCall();
+
+      // catches "Ask to join" clicks from the user and from auto-join alike; the lobby watch's own
+      // retries happen while it is active and are left alone
+      document.addEventListener(
+        'click',
+        (e) => {
+          const button = e.target.closest && e.target.closest('button');
+          if (!activeLobbyWatch && isAskToJoinButton(button)) {
+            startLobbyWatch();
+          }
+        },
+        true,
+      );
+    } else {
+      // Normal tab, replace UI while background.js redirects it to the PWA
+      chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === 'PWA_NOT_INSTALLED') {
+          // background.js couldn't find the PWA to launch, explain why we stayed in this tab
+          if (!document.getElementById(PWA_NOT_INSTALLED_OVERLAY_ID)) {
+            document.body.appendChild(buildPwaNotInstalledElements());
+          }
+          sendResponse({ success: true });
+        } else if (message.type === 'REDIRECT_STARTED') {
+          if (document.getElementById(PWA_NOT_INSTALLED_OVERLAY_ID)) {
+            document.getElementById(PWA_NOT_INSTALLED_OVERLAY_ID).remove();
+          }
+          if (!document.getElementById(OVERLAY_ID)) {
+            document.body.appendChild(buildNotificationElements(message.sessionId));
+          }
+          sendResponse({ success: true });
+        } else if (message.type === 'REDIRECT_ENDED') {
+          // declined from the PWA or timed out, so this tab is staying
+          if (document.getElementById(OVERLAY_ID)) {
+            document.getElementById(OVERLAY_ID).remove();
+          }
+          sendResponse({ success: true });
+        }
+      });
+    }
+  });
 })();
 
+/**
+ * Checks whether this page is the Meet window: the PWA, or the dedicated window background.js
+ * opens in its place when the PWA isn't installed.
+ * @param {function(boolean): void} callback - called with true in the Meet window
+ */
+function isMeetWindow(callback) {
+  if (isPwa()) {
+    callback(true);
+    return;
+  }
+  chrome.runtime.sendMessage({ type: 'IS_MEET_WINDOW' }, (response) => {
+    callback(!chrome.runtime.lastError && !!response && response.isMeetWindow);
+  });
+}
+
 function isPwa() {
   return ['fullscreen', 'standalone', 'minimal-ui'].some(
     (displayMode) => window.matchMedia('(display-mode: ' + displayMode + ')').matches,
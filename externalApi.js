@@ -0,0 +1,153 @@
+/*
+ * externalApi.js defines the API other extensions and local pages, both let in by
+ * externally_connectable in manifest.json, use to drive SpeedyMeet with
+ * chrome.runtime.sendMessage(speedyMeetId, request). Extensions have to be named there under "ids"
+ * by the build shipping them. Every request and response names the API version it follows, and
+ * background.js only answers senders on the allowlist in the popup.
+ *
+ *   {version: 1, command: 'openMeeting', meeting: 'abc-defg-hij', authuser: 1, mute: true,
+ *     camera: false, autoJoin: true, microphones: ['Jabra'], speakers: ['Jabra'],
+ *     cameras: ['BRIO']}
+ *     → {version: 1, ok: true, result: {sessionId: '…'}}
+ *   {version: 1, command: 'getStatus'}
+ *     → {version: 1, ok: true, result: {meetWindowOpen: true, onCall: true,
+ *       meetingCode: 'abc-defg-hij', joinedAt: 1760000000000, queuedCount: 0,
+ *       pendingHandoff: null}}
+ *   {version: 1, command: 'leaveCall'}
+ *     → {version: 1, ok: true, result: {}}
+ *
+ * Failures answer {version: 1, ok: false, error: {code, message}}, code being one of
+ * EXTERNAL_API_ERRORS. Loaded by background.js.
+ */
+
+// the version responses follow
+const EXTERNAL_API_VERSION = 1;
+
+// origins of the local pages externally_connectable lets in, which are allowlisted by origin
+const EXTERNAL_PAGE_ORIGIN_REGEX = /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+const EXTERNAL_API_ERRORS = {
+  NOT_ALLOWED: 'NOT_ALLOWED',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  // the meeting couldn't be handed to the PWA, or there is no PWA to act on
+  PWA_NOT_AVAILABLE: 'PWA_NOT_AVAILABLE',
+  NOT_ON_CALL: 'NOT_ON_CALL',
+  // do not disturb is on and set to keep meetings out rather than queue them
+  DO_NOT_DISTURB: 'DO_NOT_DISTURB',
+};
+
+/*
+ * The fields of each command's request by API version, besides `version` and `command`: their
+ * type, whether they are required and for numbers their range. Arrays hold strings.
+ */
+const EXTERNAL_API_SCHEMAS = {
+  1: {
+    openMeeting: {
+      // a meeting code or any Meet link normalizeMeetUrl understands
+      meeting: { type: 'string', required: true },
+      // the Google account index to open the meeting in
+      authuser: { type: 'number', min: 0, max: 9 },
+      // join with the microphone off
+      mute: { type: 'boolean' },
+      // join with the camera on
+      camera: { type: 'boolean' },
+      autoJoin: { type: 'boolean' },
+      // device labels, or parts of them, to prefer over those of the popup and meeting rules
+      microphones: { type: 'array' },
+      speakers: { type: 'array' },
+      cameras: { type: 'array' },
+    },
+    getStatus: {},
+    leaveCall: {},
+  },
+};
+
+/**
+ * Builds a successful response.
+ * @param {object} result - what the command returns
+ * @returns {object} the response
+ */
+function externalApiResult(result) {
+  return { version: EXTERNAL_API_VERSION, ok: true, result };
+}
+
+/**
+ * Builds a failed response.
+ * @param {string} code - one of EXTERNAL_API_ERRORS
+ * @param {string} message - what went wrong, for the developer of the calling extension
+ * @returns {object} the response
+ */
+function externalApiError(code, message) {
+  return { version: EXTERNAL_API_VERSION, ok: false, error: { code, message } };
+}
+
+/**
+ * Checks a request against the schema of its version and command. Unknown fields are rejected,
+ * so a misspelt option doesn't go unnoticed.
+ * @param {*} request - the message received
+ * @returns {{command: string, params: object}|{error: object}} the command and its fields, or the
+ * error response to send back
+ */
+function validateExternalRequest(request) {
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    return {
+      error: externalApiError(EXTERNAL_API_ERRORS.INVALID_REQUEST, 'The request is not an object'),
+    };
+  }
+  const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+  if (!hasOwn(EXTERNAL_API_SCHEMAS, request.version)) {
+    return {
+      error: externalApiError(
+        EXTERNAL_API_ERRORS.UNSUPPORTED_VERSION,
+        `Unsupported version ${request.version}, use one of ${Object.keys(EXTERNAL_API_SCHEMAS)}`,
+      ),
+    };
+  }
+  const schemas = EXTERNAL_API_SCHEMAS[request.version];
+  if (!hasOwn(schemas, request.command)) {
+    return {
+      error: externalApiError(
+        EXTERNAL_API_ERRORS.UNKNOWN_COMMAND,
+        `Unknown command "${request.command}"`,
+      ),
+    };
+  }
+
+  const { command } = request;
+  const params = { ...request };
+  delete params.version;
+  delete params.command;
+  const schema = schemas[command];
+  const errors = [];
+  Object.keys(params)
+    .filter((name) => !hasOwn(schema, name))
+    .forEach((name) => errors.push(`unknown field "${name}"`));
+  Object.entries(schema).forEach(([name, field]) => {
+    const value = params[name];
+    if (value === undefined) {
+      if (field.required) errors.push(`"${name}" is required`);
+    } else if (field.type === 'array') {
+      if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+        errors.push(`"${name}" should be an array of strings`);
+      }
+    } else if (typeof value !== field.type) {
+      errors.push(`"${name}" should be a ${field.type}`);
+    } else if (
+      field.type === 'number' &&
+      (!Number.isInteger(value) || value < field.min || value > field.max)
+    ) {
+      errors.push(`"${name}" should be a whole number from ${field.min} to ${field.max}`);
+    }
+  });
+  if (errors.length) {
+    return {
+      error: externalApiError(
+        EXTERNAL_API_ERRORS.INVALID_REQUEST,
+        `Invalid ${command} request: ${errors.join(', ')}`,
+      ),
+    };
+  }
+  return { command, params };
+}
@@ -0,0 +1,112 @@
+/*
+ * history.js holds the meeting history log. background.js records an entry for every redirect
+ * session and keeps it up to date as the meeting is joined and left; the popup browses and exports
+ * it. Each entry is stored under its own chrome.storage.local key so concurrent updates to
+ * different meetings can't overwrite each other.
+ */
+
+const HISTORY_KEY_PREFIX = 'meetingHistory:';
+// oldest entries are dropped beyond this many
+const MAX_HISTORY_ENTRIES = 500;
+
+const HISTORY_OUTCOMES = {
+  // opened in the PWA, directly or by choosing "Switch" on the next meeting alert
+  SWITCHED: 'switched',
+  // "Dismiss" was chosen on the next meeting alert
+  DECLINED: 'declined',
+  // the next meeting alert was shown but never answered
+  IGNORED: 'ignored',
+  TIMED_OUT: 'timed_out',
+  PWA_NOT_INSTALLED: 'pwa_not_installed',
+  // joined in the PWA without a redirect
+  JOINED_DIRECTLY: 'joined_directly',
+  // "Use this tab instead" was chosen in the originating tab
+  KEPT_IN_TAB: 'kept_in_tab',
+  // left in the originating tab, or declined, because do not disturb was on
+  DND_KEPT_IN_TAB: 'dnd_kept_in_tab',
+  DND_DECLINED: 'dnd_declined',
+};
+
+// calls joined in the PWA without a redirect are recorded with this source
+const HISTORY_SOURCE_DIRECT = 'DIRECT';
+
+const HISTORY_CSV_COLUMNS = [
+  'meetingCode',
+  'title',
+  'source',
+  'link',
+  'authUser',
+  'outcome',
+  'openedAt',
+  'joinedAt',
+  'leftAt',
+  'durationSeconds',
+];
+
+/**
+ * Loads all history entries.
+ * @param {function(Array<object>): void} callback - called with the entries, newest first
+ */
+function getHistoryEntries(callback) {
+  chrome.storage.local.get(null, (items) => {
+    const entries = Object.keys(items)
+      .filter((key) => key.startsWith(HISTORY_KEY_PREFIX))
+      .map((key) => items[key]);
+    callback(entries.sort((a, b) => b.openedAt - a.openedAt));
+  });
+}
+
+/**
+ * Checks whether a history entry matches a search, by meeting code, title, link, source or
+ * outcome.
+ * @param {object} entry - the history entry
+ * @param {string} query - the search text
+ * @returns {boolean} true if the entry matches
+ */
+function historyEntryMatches(entry, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) {
+    return true;
+  }
+  return [entry.meetingCode, entry.title, entry.link, entry.source, entry.outcome].some(
+    (value) => value && String(value).toLowerCase().includes(needle),
+  );
+}
+
+/**
+ * Converts a history entry's fields into the values used for export.
+ * @param {object} entry - the history entry
+ * @returns {object} the entry with ISO timestamps and the duration in seconds
+ */
+function formatHistoryEntry(entry) {
+  const toIso = (time) => (time ? new Date(time).toISOString() : '');
+  return {
+    meetingCode: entry.meetingCode || '',
+    title: entry.title || '',
+    source: entry.source,
+    link: entry.link,
+    authUser: entry.authUser,
+    outcome: entry.outcome,
+    openedAt: toIso(entry.openedAt),
+    joinedAt: toIso(entry.joinedAt),
+    leftAt: toIso(entry.leftAt),
+    durationSeconds: entry.durationMs ? Math.round(entry.durationMs / 1000) : '',
+  };
+}
+
+/**
+ * Serializes history entries as CSV.
+ * @param {Array<object>} entries - the history entries
+ * @returns {string} the CSV, with a header row
+ */
+function historyToCsv(entries) {
+  const escape = (value) => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = entries.map((entry) => {
+    const formatted = formatHistoryEntry(entry);
+    return HISTORY_CSV_COLUMNS.map((column) => escape(formatted[column])).join(',');
+  });
+  return [HISTORY_CSV_COLUMNS.join(','), ...rows].join('\n');
+}
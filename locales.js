@@ -0,0 +1,111 @@
+/*
+ * locales.js holds the Meet UI text SpeedyMeet looks for, per language. Meet renders in the
+ * language of the Google account, which it sets as document.documentElement.lang, so the table is
+ * keyed by that. To support another language, add an entry with the same keys using the labels
+ * Meet shows in it; full tags such as "pt-PT" take priority over the primary language ("pt").
+ * English is always checked as well, and contentScript.js falls back to structural detection
+ * when no text matches.
+ *
+ * Loaded ahead of contentScript.js and shares its scope.
+ */
+
+const DEFAULT_MEET_LOCALE = 'en';
+
+const MEET_LOCALES = {
+  en: {
+    callControls: 'Call controls',
+    leaveCall: 'Leave call',
+    turnOffMic: 'Turn off microphone',
+    turnOnMic: 'Turn on microphone',
+    turnOffCamera: 'Turn off camera',
+    turnOnCamera: 'Turn on camera',
+    // the pre-join screen's device menus, whose labels go on with the device in use
+    micPicker: 'Microphone',
+    speakerPicker: 'Speaker',
+    cameraPicker: 'Camera',
+    // lower-cased button text
+    joinButtons: ['join now', 'join', 'join anyway'],
+    askToJoinButtons: ['ask to join'],
+    // lower-cased text shown in the lobby when the request to join is turned down
+    requestDenied: ['denied your request to join', "you can't join this call"],
+  },
+  de: {
+    callControls: 'Anrufsteuerung',
+    leaveCall: 'Anruf verlassen',
+    turnOffMic: 'Mikrofon deaktivieren',
+    turnOnMic: 'Mikrofon aktivieren',
+    turnOffCamera: 'Kamera deaktivieren',
+    turnOnCamera: 'Kamera aktivieren',
+    micPicker: 'Mikrofon',
+    speakerPicker: 'Lautsprecher',
+    cameraPicker: 'Kamera',
+    joinButtons: ['jetzt teilnehmen', 'teilnehmen', 'trotzdem teilnehmen'],
+    askToJoinButtons: ['teilnahme anfragen'],
+    requestDenied: ['deine anfrage zur teilnahme abgelehnt'],
+  },
+  ja: {
+    callControls: '通話コントロール',
+    leaveCall: '通話から退出',
+    turnOffMic: 'マイクをオフにする',
+    turnOnMic: 'マイクをオンにする',
+    turnOffCamera: 'カメラをオフにする',
+    turnOnCamera: 'カメラをオンにする',
+    micPicker: 'マイク',
+    speakerPicker: 'スピーカー',
+    cameraPicker: 'カメラ',
+    joinButtons: ['今すぐ参加', '参加', 'このまま参加'],
+    askToJoinButtons: ['参加をリクエスト'],
+    requestDenied: ['参加リクエストが拒否されました'],
+  },
+  pt: {
+    callControls: 'Controles da chamada',
+    leaveCall: 'Sair da chamada',
+    turnOffMic: 'Desativar microfone',
+    turnOnMic: 'Ativar microfone',
+    turnOffCamera: 'Desativar câmera',
+    turnOnCamera: 'Ativar câmera',
+    micPicker: 'Microfone',
+    speakerPicker: 'Alto-falante',
+    cameraPicker: 'Câmera',
+    joinButtons: ['participar agora', 'participar', 'participar mesmo assim'],
+    askToJoinButtons: ['pedir para participar'],
+    requestDenied: ['recusou seu pedido para participar'],
+  },
+  'pt-pt': {
+    callControls: 'Controlos da chamada',
+    leaveCall: 'Sair da chamada',
+    turnOffMic: 'Desativar microfone',
+    turnOnMic: 'Ativar microfone',
+    turnOffCamera: 'Desativar câmara',
+    turnOnCamera: 'Ativar câmara',
+    micPicker: 'Microfone',
+    speakerPicker: 'Altifalante',
+    cameraPicker: 'Câmara',
+    joinButtons: ['participar agora', 'participar', 'participar mesmo assim'],
+    askToJoinButtons: ['pedir para participar'],
+    requestDenied: ['recusou o seu pedido para participar'],
+  },
+};
+
+/**
+ * Picks the locale table entries that apply to a page language, most specific first and always
+ * ending with English.
+ * @param {string} [lang] - the page language, defaults to the Meet page's
+ * @returns {Array<object>} the matching locale entries
+ */
+function getMeetLocales(lang = document.documentElement.lang) {
+  const tag = (lang || '').toLowerCase();
+  const candidates = [tag, tag.split('-')[0], DEFAULT_MEET_LOCALE];
+  return [...new Set(candidates)]
+    .filter((code) => MEET_LOCALES[code])
+    .map((code) => MEET_LOCALES[code]);
+}
+
+/**
+ * Collects one UI string from every locale that applies to the page.
+ * @param {string} key - the locale table key, e.g. "turnOffMic" or "joinButtons"
+ * @returns {Array<string>} the strings to look for, most specific locale first
+ */
+function getMeetStrings(key) {
+  return getMeetLocales().flatMap((locale) => locale[key] || []);
+}
@@ -0,0 +1,167 @@
+/*
+ * meetUrl.js holds helpers for reading Google Meet URLs. It is loaded ahead of contentScript.js, by
+ * the popup and by background.js, so everything declared here is shared between them.
+ */
+
+const MEETING_CODE_REGEX = /([a-z0-9]{3,5}-[a-z0-9]{3,5}-[a-z0-9]{3,5})/i;
+
+// redirect pages that wrap a Meet link in one of their query parameters
+const MEET_LINK_WRAPPERS = [
+  // Gmail and Calendar invites, "https://www.google.com/url?q=<link>"
+  { host: /^(www\.)?google\.com$/, path: /^\/url$/, params: ['q', 'url'] },
+  // Calendar's own redirect page, behind "Join with Google Meet"
+  { host: /^calendar\.google\.com$/, path: /^\/calendar\/(u\/\d+\/)?url$/, params: ['q', 'url'] },
+];
+
+// wrappers are unwrapped at most this many levels deep
+const MAX_MEET_LINK_WRAPPERS = 3;
+
+/**
+ * Parses a Meet URL, resolving bare paths such as "abc-defg-hij?authuser=1" against Meet.
+ * @param {string} url - the URL or path to parse
+ * @returns {URL|null} the parsed URL, or null when it can't be parsed
+ */
+function parseMeetUrl(url) {
+  try {
+    return new URL(url, 'https://meet.google.com/');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolves any form of Meet link to its canonical target: the path and query to open on
+ * meet.google.com, keeping query parameters such as authuser and hs.
+ *
+ * Links and the targets they resolve to:
+ *   https://meet.google.com/abc-defg-hij?authuser=1&hs=122
+ *     → "abc-defg-hij?authuser=1&hs=122"
+ *   https://meet.google.com/
+ *     → "" (the landing page)
+ *   https://meet.google.com/lookup/team-sync?authuser=2
+ *     → "lookup/team-sync?authuser=2"
+ *   https://g.co/meet/abc-defg-hij
+ *     → "abc-defg-hij"
+ *   https://www.google.com/url?q=https://meet.google.com/abc-defg-hij?hs%3D179&sa=D
+ *     → "abc-defg-hij?hs=179"
+ *   https://calendar.google.com/calendar/u/0/url?q=https%3A%2F%2Fg.co%2Fmeet%2Fabc-defg-hij
+ *     → "abc-defg-hij"
+ *   https://calendar.google.com/calendar/url?url=https://meet.google.com/abc-defg-hij
+ *     → "abc-defg-hij"
+ *   https://calendar.google.com/calendar/u/0/r/search?q=https://meet.google.com/abc-defg-hij
+ *     → null (searching Calendar, not a redirect page)
+ *   https://accounts.google.com/AccountChooser?continue=https://meet.google.com/abc-defg-hij
+ *     → null (the user picks the account to join with)
+ *   https://accounts.google.com/ServiceLogin?continue=https://meet.google.com/abc-defg-hij
+ *     → null (signing in, not a redirect to follow)
+ *   https://accounts.google.com/v3/signin/identifier?continue=https://meet.google.com/abc-defg-hij
+ *     → null
+ *   https://www.google.com/url?q=https://meet.google.com/
+ *     → null (a wrapped link has to name a meeting)
+ *   https://www.google.com/search?q=https://meet.google.com/abc-defg-hij
+ *     → null (not a redirect page)
+ *   https://example.com/abc-defg-hij
+ *     → null
+ *
+ * @param {string} url - the absolute URL to resolve
+ * @param {number} [depth] - how many wrappers have been unwrapped so far
+ * @returns {string|null} the meeting target, or null if the URL isn't a Meet link
+ */
+function normalizeMeetUrl(url, depth = 0) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  const host = parsed.hostname.toLowerCase();
+
+  if (host === 'meet.google.com') {
+    return parsed.pathname.slice(1) + parsed.search;
+  }
+  if (host === 'g.co' && parsed.pathname.startsWith('/meet/')) {
+    return parsed.pathname.slice('/meet/'.length) + parsed.search;
+  }
+  if (depth >= MAX_MEET_LINK_WRAPPERS) {
+    return null;
+  }
+
+  const wrapper = MEET_LINK_WRAPPERS.find(
+    ({ host: wrapperHost, path }) => wrapperHost.test(host) && path.test(parsed.pathname),
+  );
+  if (!wrapper) {
+    return null;
+  }
+  for (const param of wrapper.params) {
+    const wrapped = parsed.searchParams.get(param);
+    const target = wrapped && normalizeMeetUrl(wrapped, depth + 1);
+    if (target) {
+      return target;
+    }
+  }
+  return null;
+}
+
+/**
+ * Extracts the meeting code from a Meet URL.
+ * @param {string} url - the URL or path to read
+ * @returns {string|null} the lower-cased meeting code, or null if there isn't one
+ */
+function getMeetingCode(url) {
+  const parsed = parseMeetUrl(url);
+  const match = (parsed ? parsed.pathname : String(url)).match(MEETING_CODE_REGEX);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Reads the authuser (Google account index) from a Meet URL.
+ * @param {string} url - the URL or path to read
+ * @returns {string|null} the authuser value, or null if the URL doesn't set one
+ */
+function getAuthUser(url) {
+  const parsed = parseMeetUrl(url);
+  return parsed ? parsed.searchParams.get('authuser') : null;
+}
+
+/**
+ * Reads the Google account index from any Google URL, e.g. "/mail/u/1/" or "?authuser=1".
+ * @param {string} url - the URL to read
+ * @returns {string|null} the account index, or null if the URL doesn't name one
+ */
+function getGoogleAccountIndex(url) {
+  const parsed = parseMeetUrl(url);
+  if (!parsed) {
+    return null;
+  }
+  const authUser = parsed.searchParams.get('authuser');
+  if (authUser !== null) {
+    return authUser;
+  }
+  const match = parsed.pathname.match(/\/u\/(\d+)(\/|$)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Sets the authuser on a Meet path, keeping its other query parameters.
+ * @param {string} path - the meeting path and query, e.g. "abc-defg-hij?hs=122"
+ * @param {string} authUser - the account index to open the meeting with
+ * @returns {string} the path with authuser set
+ */
+function setAuthUser(path, authUser) {
+  const [pathname, query = ''] = path.split('?');
+  const params = new URLSearchParams(query);
+  params.set('authuser', authUser);
+  return pathname + '?' + params.toString();
+}
+
+/**
+ * Splits a user-entered list of meeting codes separated by commas, spaces or new lines.
+ * @param {string} text - the list to split
+ * @returns {Array<string>} the lower-cased meeting codes
+ */
+function parseMeetingCodes(text) {
+  return (text || '')
+    .split(/[\s,]+/)
+    .map((code) => code.trim().toLowerCase())
+    .filter(Boolean);
+}
@@ -0,0 +1,28 @@
+/*
+ * Runs the table of links in normalizeMeetUrl's doc comment, so the documented targets stay true.
+ */
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const { loadScripts } = require('./testContext');
+
+const source = fs.readFileSync(path.join(__dirname, 'meetUrl.js'), 'utf8');
+const context = loadScripts(['meetUrl.js'], { URL });
+
+// "*   <link>" followed by "*     → <target>", the target a JSON string or null
+const examples = [...source.matchAll(/^ \*   (\S+)\n \*     → ("[^"]*"|null)/gm)].map(
+  ([, url, target]) => ({ url, target: JSON.parse(target) }),
+);
+
+test('the doc comment lists links to check', () => {
+  assert.ok(examples.length >= 10);
+  assert.ok(examples.some(({ url }) => url.startsWith('https://accounts.google.com/ServiceLogin')));
+});
+
+for (const { url, target } of examples) {
+  test(`normalizeMeetUrl(${url})`, () => {
+    assert.strictEqual(context.normalizeMeetUrl(url), target);
+  });
+}
@@ -7,12 +7,34 @@ window.addEventListener('click', function (e) {
 var disableMicInput = document.getElementById('disable-mic');
 var disableVideoInput = document.getElementById('disable-video');
 var autoJoinInput = document.getElementById('auto-join');
+var meetWindowFallbackInput = document.getElementById('meet-window-fallback');
 var countdownDurationInput = document.getElementById('countdown-duration');
 var countdownDurationContainer = countdownDurationInput.parentElement;
 var ttsIntervalInput = document.getElementById('tts-interval');
 var ttsIntervalContainer = ttsIntervalInput.parentElement;
+var snoozeMinutesInput = document.getElementById('snooze-minutes');
+var lobbyTimeoutMinutesInput = document.getElementById('lobby-timeout-minutes');
+var lobbyTimeoutActionInput = document.getElementById('lobby-timeout-action');
+var postCallActionInput = document.getElementById('post-call-action');
+var autoLeaveAloneMinutesInput = document.getElementById('auto-leave-alone-minutes');
 console.log('test loaded popup');
 
+/**
+ * Saves a number input to a preference as it changes. The input's range comes from the settings
+ * schema, and it is updated to show the value actually saved, clamped to that range.
+ * @param {HTMLInputElement} input - the number input
+ * @param {string} key - the preference, a key of PREFERENCE_SCHEMA
+ */
+function bindNumberPreference(input, key) {
+  input.min = PREFERENCE_SCHEMA[key].min;
+  input.max = PREFERENCE_SCHEMA[key].max;
+  input.addEventListener('change', () => {
+    setPreferences({ [key]: input.value }, (saved) => {
+      input.value = saved[key];
+    });
+  });
+}
+
 // Function to toggle countdown input visibility
 function toggleCountdownVisibility() {
   if (autoJoinInput.checked) {
@@ -24,14 +46,32 @@ function toggleCountdownVisibility() {
   }
 }
 
-chrome.storage.local.get(
-  ['disableMic', 'disableVideo', 'autoJoin', 'countdownDuration', 'ttsAnnouncementInterval'],
+getPreferences(
+  [
+    'disableMic',
+    'disableVideo',
+    'autoJoin',
+    'meetWindowFallback',
+    'countdownDuration',
+    'ttsAnnouncementInterval',
+    'snoozeMinutes',
+    'lobbyTimeoutMinutes',
+    'lobbyTimeoutAction',
+    'postCallAction',
+    'autoLeaveAloneMinutes',
+  ],
   (res) => {
     disableVideoInput.checked = res.disableVideo;
     disableMicInput.checked = res.disableMic;
     autoJoinInput.checked = res.autoJoin;
-    countdownDurationInput.value = res.countdownDuration || 10;
-    ttsIntervalInput.value = res.ttsAnnouncementInterval || 5;
+    meetWindowFallbackInput.checked = res.meetWindowFallback;
+    countdownDurationInput.value = res.countdownDuration;
+    ttsIntervalInput.value = res.ttsAnnouncementInterval;
+    snoozeMinutesInput.value = res.snoozeMinutes;
+    lobbyTimeoutMinutesInput.value = res.lobbyTimeoutMinutes;
+    lobbyTimeoutActionInput.value = res.lobbyTimeoutAction;
+    postCallActionInput.value = res.postCallAction;
+    autoLeaveAloneMinutesInput.value = res.autoLeaveAloneMinutes;
     toggleCountdownVisibility();
 
     console.log({ res });
@@ -40,20 +80,24 @@ chrome.storage.local.get(
 
 disableMicInput.addEventListener('click', (e) => {
   console.log({ checked: e.target.checked });
-  chrome.storage.local.set({
+  setPreferences({
     disableMic: e.target.checked,
   });
 });
 disableVideoInput.addEventListener('click', (e) => {
   console.log({ checked: e.target.checked });
-  chrome.storage.local.set({
+  setPreferences({
     disableVideo: e.target.checked,
   });
 });
 
+meetWindowFallbackInput.addEventListener('click', (e) => {
+  setPreferences({ meetWindowFallback: e.target.checked });
+});
+
 autoJoinInput.addEventListener('click', (e) => {
   console.log({ autoJoin: e.target.checked });
-  chrome.storage.local.set({
+  setPreferences({
     autoJoin: e.target.checked,
   });
 
@@ -61,18 +105,1134 @@ autoJoinInput.addEventListener('click', (e) => {
   toggleCountdownVisibility();
 });
 
-countdownDurationInput.addEventListener('change', (e) => {
-  const duration = parseInt(e.target.value, 10);
-  console.log({ countdownDuration: duration });
-  chrome.storage.local.set({
-    countdownDuration: duration,
+bindNumberPreference(countdownDurationInput, 'countdownDuration');
+bindNumberPreference(ttsIntervalInput, 'ttsAnnouncementInterval');
+bindNumberPreference(snoozeMinutesInput, 'snoozeMinutes');
+bindNumberPreference(lobbyTimeoutMinutesInput, 'lobbyTimeoutMinutes');
+bindNumberPreference(autoLeaveAloneMinutesInput, 'autoLeaveAloneMinutes');
+
+lobbyTimeoutActionInput.addEventListener('change', (e) => {
+  setPreferences({ lobbyTimeoutAction: e.target.value });
+});
+
+postCallActionInput.addEventListener('change', (e) => {
+  setPreferences({ postCallAction: e.target.value });
+});
+
+// Voice
+var silentModeInput = document.getElementById('silent-mode');
+var ttsVoiceInput = document.getElementById('tts-voice');
+var ttsRateInput = document.getElementById('tts-rate');
+var ttsPitchInput = document.getElementById('tts-pitch');
+var ttsVolumeInput = document.getElementById('tts-volume');
+var ttsTestButton = document.getElementById('tts-test');
+var ttsPlaceholders = document.getElementById('tts-placeholders');
+var ttsPhrasesList = document.getElementById('tts-phrases');
+
+var ttsPhrases = {};
+
+function renderTtsPhrases() {
+  ttsPhrasesList.replaceChildren();
+  Object.entries(TTS_PHRASES).forEach(([id, phrase]) => {
+    const label = document.createElement('label');
+    label.htmlFor = `tts-phrase-${id}`;
+    label.textContent = phrase.label;
+    if (phrase.placeholders) {
+      label.title = Object.entries(phrase.placeholders)
+        .map(([name, description]) => `{${name}}: ${description}`)
+        .join('\n');
+    }
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `tts-phrase-${id}`;
+    input.placeholder = phrase.template;
+    input.value = ttsPhrases[id] || '';
+    input.addEventListener('change', () => {
+      const template = input.value.trim();
+      if (template) {
+        ttsPhrases[id] = template;
+      } else {
+        delete ttsPhrases[id];
+      }
+      setPreferences({ [TTS_PHRASES_KEY]: ttsPhrases });
+    });
+
+    ttsPhrasesList.append(label, input);
+  });
+}
+
+ttsPlaceholders.textContent =
+  'Leave a phrase empty to use the default. Phrases can use ' +
+  Object.entries(TTS_PLACEHOLDERS)
+    .map(([name, description]) => `{${name}} for ${description}`)
+    .join(' and ') +
+  '; hover a phrase to see any others it takes.';
+
+chrome.tts.getVoices((voices) => {
+  voices.forEach((voice) => {
+    const option = document.createElement('option');
+    option.value = voice.voiceName;
+    option.textContent = voice.lang ? `${voice.voiceName} (${voice.lang})` : voice.voiceName;
+    ttsVoiceInput.appendChild(option);
+  });
+
+  getPreferences(
+    ['silentMode', 'ttsVoiceName', 'ttsRate', 'ttsPitch', 'ttsVolume', TTS_PHRASES_KEY],
+    (res) => {
+      silentModeInput.checked = !!res.silentMode;
+      ttsVoiceInput.value = res.ttsVoiceName;
+      ttsRateInput.value = res.ttsRate;
+      ttsPitchInput.value = res.ttsPitch;
+      ttsVolumeInput.value = res.ttsVolume;
+      ttsPhrases = res[TTS_PHRASES_KEY];
+      renderTtsPhrases();
+    },
+  );
+});
+
+silentModeInput.addEventListener('click', (e) => {
+  setPreferences({ silentMode: e.target.checked });
+});
+
+ttsVoiceInput.addEventListener('change', (e) => {
+  setPreferences({ ttsVoiceName: e.target.value });
+});
+
+bindNumberPreference(ttsRateInput, 'ttsRate');
+bindNumberPreference(ttsPitchInput, 'ttsPitch');
+bindNumberPreference(ttsVolumeInput, 'ttsVolume');
+
+ttsTestButton.addEventListener('click', () => {
+  chrome.runtime.sendMessage({
+    type: 'SPEAK_TEXT',
+    test: true,
+    text: formatPhrase(getPhraseTemplate(ttsPhrases, 'countdownStart'), {
+      code: 'abc-defg-hij',
+      seconds: countdownDurationInput.value,
+    }),
+    voiceName: ttsVoiceInput.value,
+    rate: validatePreference('ttsRate', ttsRateInput.value).value,
+    pitch: validatePreference('ttsPitch', ttsPitchInput.value).value,
+    volume: validatePreference('ttsVolume', ttsVolumeInput.value).value,
+  });
+});
+
+// Account routing
+var preserveOriginatingAccountInput = document.getElementById('preserve-originating-account');
+var defaultAuthUserInput = document.getElementById('default-authuser');
+var accountRoutesList = document.getElementById('account-routes-list');
+var accountRouteForm = document.getElementById('account-route-form');
+var accountRouteCodesInput = document.getElementById('account-route-codes');
+var accountRouteAuthUserInput = document.getElementById('account-route-authuser');
+
+var accountRoutes = [];
+
+function renderAccountRoutes() {
+  accountRoutesList.replaceChildren();
+  accountRoutes.forEach((route, index) => {
+    const item = document.createElement('div');
+    item.className = 'rule-item flex g-1 align-items-center';
+
+    const summary = document.createElement('span');
+    summary.className = 'rule-item-summary rule-item-name';
+    summary.textContent = `${parseMeetingCodes(route.codes).join(', ')} → account ${route.authUser}`;
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.textContent = '✕';
+    deleteButton.title = 'Delete route';
+    deleteButton.addEventListener('click', () => {
+      accountRoutes.splice(index, 1);
+      setPreferences({ accountRoutes });
+      renderAccountRoutes();
+    });
+
+    item.append(summary, deleteButton);
+    accountRoutesList.appendChild(item);
+  });
+}
+
+/**
+ * Reads an account index input, checked like the defaultAuthUser preference.
+ * @param {HTMLInputElement} input - the account index input
+ * @returns {string} the account index as used in authuser, the first account if it isn't valid
+ */
+function readAuthUserInput(input) {
+  const { value } = validatePreference('defaultAuthUser', input.value);
+  input.value = value;
+  return value;
+}
+
+getPreferences(['defaultAuthUser', 'preserveOriginatingAccount', 'accountRoutes'], (res) => {
+  preserveOriginatingAccountInput.checked = res.preserveOriginatingAccount;
+  defaultAuthUserInput.value = res.defaultAuthUser;
+  accountRoutes = res.accountRoutes;
+  renderAccountRoutes();
+});
+
+preserveOriginatingAccountInput.addEventListener('click', (e) => {
+  setPreferences({ preserveOriginatingAccount: e.target.checked });
+});
+
+defaultAuthUserInput.addEventListener('change', () => {
+  setPreferences({ defaultAuthUser: defaultAuthUserInput.value }, (saved) => {
+    defaultAuthUserInput.value = saved.defaultAuthUser;
+  });
+});
+
+accountRouteForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const codes = parseMeetingCodes(accountRouteCodesInput.value);
+  if (!codes.length) {
+    return;
+  }
+  accountRoutes.push({
+    id: crypto.randomUUID(),
+    codes: codes.join(', '),
+    authUser: readAuthUserInput(accountRouteAuthUserInput),
   });
+  setPreferences({ accountRoutes });
+  accountRouteForm.reset();
+  renderAccountRoutes();
+});
+
+// Redirect exclusions
+var redirectExclusionsInput = document.getElementById('redirect-exclusions');
+
+getPreferences(['redirectExclusions'], (res) => {
+  redirectExclusionsInput.value = res.redirectExclusions.join('\n');
+});
+
+redirectExclusionsInput.addEventListener('change', () => {
+  const redirectExclusions = redirectExclusionsInput.value
+    .split('\n')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  setPreferences({ redirectExclusions });
+});
+
+// External API allowlist
+var externalAllowlistInput = document.getElementById('external-allowlist');
+
+getPreferences(['externalAllowlist'], (res) => {
+  externalAllowlistInput.value = res.externalAllowlist.join('\n');
+});
+
+externalAllowlistInput.addEventListener('change', () => {
+  const externalAllowlist = externalAllowlistInput.value
+    .split('\n')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  setPreferences({ externalAllowlist });
+});
+
+// Preferred devices, by the preference listing them
+var preferredDeviceInputs = {
+  preferredMics: document.getElementById('preferred-mics'),
+  preferredSpeakers: document.getElementById('preferred-speakers'),
+  preferredCameras: document.getElementById('preferred-cameras'),
+};
+
+function parseDeviceList(textarea) {
+  return textarea.value
+    .split('\n')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+getPreferences(Object.keys(preferredDeviceInputs), (res) => {
+  Object.entries(preferredDeviceInputs).forEach(([key, input]) => {
+    input.value = res[key].join('\n');
+  });
+});
+
+Object.entries(preferredDeviceInputs).forEach(([key, input]) => {
+  input.addEventListener('change', () => {
+    setPreferences({ [key]: parseDeviceList(input) });
+  });
+});
+
+// Meeting rules editor
+var rulesList = document.getElementById('rules-list');
+var ruleForm = document.getElementById('rule-form');
+var ruleNameInput = document.getElementById('rule-name');
+var ruleMatchTypeInput = document.getElementById('rule-match-type');
+var ruleMatchValueInput = document.getElementById('rule-match-value');
+var ruleMicInput = document.getElementById('rule-mic');
+var ruleCameraInput = document.getElementById('rule-camera');
+var ruleAutoJoinInput = document.getElementById('rule-auto-join');
+var ruleCountdownInput = document.getElementById('rule-countdown');
+var ruleTtsIntervalInput = document.getElementById('rule-tts-interval');
+var ruleMicsInput = document.getElementById('rule-mics');
+var ruleSpeakersInput = document.getElementById('rule-speakers');
+var ruleCamerasInput = document.getElementById('rule-cameras');
+
+// rule overrides share the range of the setting they replace
+ruleCountdownInput.min = PREFERENCE_SCHEMA.countdownDuration.min;
+ruleCountdownInput.max = PREFERENCE_SCHEMA.countdownDuration.max;
+ruleTtsIntervalInput.min = PREFERENCE_SCHEMA.ttsAnnouncementInterval.min;
+ruleTtsIntervalInput.max = PREFERENCE_SCHEMA.ttsAnnouncementInterval.max;
+var ruleSaveButton = document.getElementById('rule-save');
+var ruleCancelButton = document.getElementById('rule-cancel');
+var ruleTestUrlInput = document.getElementById('rule-test-url');
+var ruleTestResult = document.getElementById('rule-test-result');
+
+var meetingRules = [];
+var editingRuleId = null;
+
+var RULE_MATCH_PLACEHOLDERS = {
+  [RULE_MATCH_TYPES.MEETING_CODE]: 'abc-defg-hij, klm-nopq-rst',
+  [RULE_MATCH_TYPES.URL_PATTERN]: 'https://meet.google.com/*',
+  [RULE_MATCH_TYPES.AUTHUSER]: '1',
+};
+
+/**
+ * Describes what a rule matches and overrides in a single line.
+ * @param {object} rule - the rule to describe
+ * @returns {string} the summary
+ */
+function describeRule(rule) {
+  const matchLabels = {
+    [RULE_MATCH_TYPES.MEETING_CODE]: 'Codes',
+    [RULE_MATCH_TYPES.URL_PATTERN]: 'URL',
+    [RULE_MATCH_TYPES.AUTHUSER]: 'Account',
+  };
+  const overrides = rule.overrides || {};
+  const parts = [];
+  if (overrides.disableMic !== undefined) parts.push(overrides.disableMic ? 'mic off' : 'mic on');
+  if (overrides.disableVideo !== undefined) {
+    parts.push(overrides.disableVideo ? 'camera off' : 'camera on');
+  }
+  if (overrides.autoJoin !== undefined) {
+    parts.push(overrides.autoJoin ? 'auto-join' : 'no auto-join');
+  }
+  if (overrides.countdownDuration !== undefined) parts.push(`${overrides.countdownDuration}s`);
+  if (overrides.ttsAnnouncementInterval !== undefined) {
+    parts.push(`TTS every ${overrides.ttsAnnouncementInterval}s`);
+  }
+  if (overrides.preferredMics) parts.push(`mics: ${overrides.preferredMics.join(', ')}`);
+  if (overrides.preferredSpeakers) {
+    parts.push(`speakers: ${overrides.preferredSpeakers.join(', ')}`);
+  }
+  if (overrides.preferredCameras) parts.push(`cameras: ${overrides.preferredCameras.join(', ')}`);
+  return `${matchLabels[rule.match.type]}: ${rule.match.value} → ${parts.join(', ') || 'no changes'}`;
+}
+
+function saveRules() {
+  setPreferences({ [MEETING_RULES_KEY]: meetingRules });
+  renderRules();
+  renderRuleTest();
+}
+
+function moveRule(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= meetingRules.length) {
+    return;
+  }
+  const [rule] = meetingRules.splice(index, 1);
+  meetingRules.splice(target, 0, rule);
+  saveRules();
+}
+
+function renderRules() {
+  rulesList.replaceChildren();
+  if (!meetingRules.length) {
+    const empty = document.createElement('div');
+    empty.className = 'description';
+    empty.textContent = 'No rules yet.';
+    rulesList.appendChild(empty);
+    return;
+  }
+
+  meetingRules.forEach((rule, index) => {
+    const item = document.createElement('div');
+    item.className = 'rule-item flex-column g-1' + (rule.enabled ? '' : ' disabled');
+
+    const header = document.createElement('div');
+    header.className = 'flex g-1 align-items-center';
+
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.checked = rule.enabled;
+    enabledInput.title = 'Enabled';
+    enabledInput.addEventListener('click', (e) => {
+      rule.enabled = e.target.checked;
+      saveRules();
+    });
+
+    const name = document.createElement('span');
+    name.className = 'rule-item-name';
+    name.textContent = rule.name || `Rule ${index + 1}`;
+
+    const actions = [
+      ['↑', 'Move up', () => moveRule(index, -1)],
+      ['↓', 'Move down', () => moveRule(index, 1)],
+      ['Edit', 'Edit rule', () => fillRuleForm(rule)],
+      [
+        '✕',
+        'Delete rule',
+        () => {
+          meetingRules.splice(index, 1);
+          if (editingRuleId === rule.id) resetRuleForm();
+          saveRules();
+        },
+      ],
+    ].map(([text, title, onClick]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = text;
+      button.title = title;
+      button.addEventListener('click', onClick);
+      return button;
+    });
+
+    const summary = document.createElement('div');
+    summary.className = 'rule-item-summary';
+    summary.textContent = describeRule(rule);
+
+    header.append(enabledInput, name, ...actions);
+    item.append(header, summary);
+    rulesList.appendChild(item);
+  });
+}
+
+function parseBooleanSelect(select) {
+  return select.value === '' ? undefined : select.value === 'true';
+}
+
+function parseNumberInput(input, key) {
+  if (input.value.trim() === '') {
+    return undefined;
+  }
+  const { value, valid } = validatePreference(key, input.value);
+  return valid ? value : undefined;
+}
+
+// an empty list leaves the setting's devices in place
+function parseRuleDeviceList(textarea) {
+  const devices = parseDeviceList(textarea);
+  return devices.length ? devices : undefined;
+}
+
+function readRuleForm() {
+  const overrides = {
+    disableMic: parseBooleanSelect(ruleMicInput),
+    disableVideo: parseBooleanSelect(ruleCameraInput),
+    autoJoin: parseBooleanSelect(ruleAutoJoinInput),
+    countdownDuration: parseNumberInput(ruleCountdownInput, 'countdownDuration'),
+    ttsAnnouncementInterval: parseNumberInput(ruleTtsIntervalInput, 'ttsAnnouncementInterval'),
+    preferredMics: parseRuleDeviceList(ruleMicsInput),
+    preferredSpeakers: parseRuleDeviceList(ruleSpeakersInput),
+    preferredCameras: parseRuleDeviceList(ruleCamerasInput),
+  };
+  Object.keys(overrides).forEach((key) => {
+    if (overrides[key] === undefined) delete overrides[key];
+  });
+
+  return {
+    id: editingRuleId || crypto.randomUUID(),
+    name: ruleNameInput.value.trim(),
+    enabled: true,
+    match: { type: ruleMatchTypeInput.value, value: ruleMatchValueInput.value.trim() },
+    overrides,
+  };
+}
+
+function fillRuleForm(rule) {
+  const overrides = rule.overrides || {};
+  const toSelectValue = (value) => (value === undefined ? '' : String(value));
+  editingRuleId = rule.id;
+  ruleNameInput.value = rule.name || '';
+  ruleMatchTypeInput.value = rule.match.type;
+  ruleMatchValueInput.value = rule.match.value;
+  ruleMatchValueInput.placeholder = RULE_MATCH_PLACEHOLDERS[rule.match.type];
+  ruleMicInput.value = toSelectValue(overrides.disableMic);
+  ruleCameraInput.value = toSelectValue(overrides.disableVideo);
+  ruleAutoJoinInput.value = toSelectValue(overrides.autoJoin);
+  ruleCountdownInput.value = overrides.countdownDuration ?? '';
+  ruleTtsIntervalInput.value = overrides.ttsAnnouncementInterval ?? '';
+  ruleMicsInput.value = (overrides.preferredMics || []).join('\n');
+  ruleSpeakersInput.value = (overrides.preferredSpeakers || []).join('\n');
+  ruleCamerasInput.value = (overrides.preferredCameras || []).join('\n');
+  ruleSaveButton.textContent = 'Save rule';
+}
+
+function resetRuleForm() {
+  editingRuleId = null;
+  ruleForm.reset();
+  ruleMatchValueInput.placeholder = RULE_MATCH_PLACEHOLDERS[ruleMatchTypeInput.value];
+  ruleSaveButton.textContent = 'Add rule';
+}
+
+function renderRuleTest() {
+  const url = ruleTestUrlInput.value.trim();
+  if (!url) {
+    ruleTestResult.textContent = '';
+    return;
+  }
+
+  getPreferences(
+    ['disableMic', 'disableVideo', 'autoJoin', 'countdownDuration', 'ttsAnnouncementInterval'],
+    (res) => {
+      const { settings, rule } = resolveMeetingSettings(res, meetingRules, url);
+      const outcome = [
+        settings.disableMic ? 'mic off' : 'mic on',
+        settings.disableVideo ? 'camera off' : 'camera on',
+        settings.autoJoin
+          ? `auto-join in ${settings.countdownDuration}s` +
+            ` (TTS every ${settings.ttsAnnouncementInterval}s)`
+          : 'no auto-join',
+      ].join(', ');
+      ruleTestResult.textContent = rule
+        ? `Matches "${rule.name || describeRule(rule)}": ${outcome}`
+        : `No rule matches, using defaults: ${outcome}`;
+    },
+  );
+}
+
+ruleMatchTypeInput.addEventListener('change', () => {
+  ruleMatchValueInput.placeholder = RULE_MATCH_PLACEHOLDERS[ruleMatchTypeInput.value];
+});
+
+ruleForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const rule = readRuleForm();
+  const index = meetingRules.findIndex(({ id }) => id === rule.id);
+  if (index === -1) {
+    meetingRules.push(rule);
+  } else {
+    rule.enabled = meetingRules[index].enabled;
+    meetingRules[index] = rule;
+  }
+  resetRuleForm();
+  saveRules();
+});
+
+ruleCancelButton.addEventListener('click', resetRuleForm);
+ruleTestUrlInput.addEventListener('input', renderRuleTest);
+
+getPreferences([MEETING_RULES_KEY], (res) => {
+  meetingRules = res[MEETING_RULES_KEY];
+  resetRuleForm();
+  renderRules();
+});
+
+// Meeting history
+var historySearchInput = document.getElementById('history-search');
+var historyList = document.getElementById('history-list');
+var historyExportJsonButton = document.getElementById('history-export-json');
+var historyExportCsvButton = document.getElementById('history-export-csv');
+var historyClearButton = document.getElementById('history-clear');
+
+// only the most recent matches are listed, exports include everything that matches
+var HISTORY_DISPLAY_LIMIT = 50;
+
+var HISTORY_OUTCOME_LABELS = {
+  [HISTORY_OUTCOMES.SWITCHED]: 'Switched',
+  [HISTORY_OUTCOMES.DECLINED]: 'Declined',
+  [HISTORY_OUTCOMES.IGNORED]: 'Ignored',
+  [HISTORY_OUTCOMES.TIMED_OUT]: 'Timed out',
+  [HISTORY_OUTCOMES.PWA_NOT_INSTALLED]: 'PWA not installed',
+  [HISTORY_OUTCOMES.JOINED_DIRECTLY]: 'Joined',
+  [HISTORY_OUTCOMES.KEPT_IN_TAB]: 'Kept in tab',
+  [HISTORY_OUTCOMES.DND_KEPT_IN_TAB]: 'Kept in tab (do not disturb)',
+  [HISTORY_OUTCOMES.DND_DECLINED]: 'Declined (do not disturb)',
+};
+
+var HISTORY_SOURCE_LABELS = {
+  LINK: 'link',
+  NEW_MEETING: 'new meeting',
+  EXTERNAL: 'another extension',
+  [HISTORY_SOURCE_DIRECT]: 'joined in the PWA',
+};
+
+var historyEntries = [];
+
+function getFilteredHistory() {
+  return historyEntries.filter((entry) => historyEntryMatches(entry, historySearchInput.value));
+}
+
+function formatDuration(durationMs) {
+  const minutes = Math.round(durationMs / 60000);
+  return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function renderHistory() {
+  historyList.replaceChildren();
+  const entries = getFilteredHistory();
+  if (!entries.length) {
+    const empty = document.createElement('div');
+    empty.className = 'description';
+    empty.textContent = historyEntries.length ? 'No matching meetings.' : 'No meetings yet.';
+    historyList.appendChild(empty);
+    return;
+  }
+
+  entries.slice(0, HISTORY_DISPLAY_LIMIT).forEach((entry) => {
+    const item = document.createElement('div');
+    item.className = 'rule-item flex-column';
+
+    const title = document.createElement('div');
+    title.className = 'rule-item-name';
+    title.textContent = `${entry.title || entry.meetingCode || entry.link || 'Landing page'} · ${
+      HISTORY_OUTCOME_LABELS[entry.outcome] || 'Pending'
+    }`;
+
+    const meta = document.createElement('div');
+    meta.className = 'history-item-meta';
+    const parts = [new Date(entry.openedAt).toLocaleString(), HISTORY_SOURCE_LABELS[entry.source]];
+    if (entry.joinedAt) parts.push(`joined ${new Date(entry.joinedAt).toLocaleTimeString()}`);
+    if (entry.durationMs) parts.push(formatDuration(entry.durationMs));
+    meta.textContent = parts.join(' · ');
+
+    item.append(title, meta);
+    historyList.appendChild(item);
+  });
+}
+
+/**
+ * Downloads text as a file from the popup.
+ * @param {string} filename - the name to save the file as
+ * @param {string} type - the MIME type
+ * @param {string} contents - the file contents
+ */
+function downloadFile(filename, type, contents) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  // not attached to the page, so the popup's link click handler doesn't open it in a tab
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+historySearchInput.addEventListener('input', renderHistory);
+
+historyExportJsonButton.addEventListener('click', () => {
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(
+    `speedymeet-history-${date}.json`,
+    'application/json',
+    JSON.stringify(getFilteredHistory().map(formatHistoryEntry), null, 2),
+  );
+});
+
+historyExportCsvButton.addEventListener('click', () => {
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(`speedymeet-history-${date}.csv`, 'text/csv', historyToCsv(getFilteredHistory()));
+});
+
+historyClearButton.addEventListener('click', () => {
+  if (!confirm('Clear the meeting history?')) {
+    return;
+  }
+  chrome.storage.local.remove(historyEntries.map((entry) => HISTORY_KEY_PREFIX + entry.id));
+  historyEntries = [];
+  renderHistory();
+});
+
+getHistoryEntries((entries) => {
+  historyEntries = entries;
+  renderHistory();
+});
+
+// Selector diagnostics
+var diagnosticsRunButton = document.getElementById('diagnostics-run');
+var diagnosticsCopyButton = document.getElementById('diagnostics-copy');
+var diagnosticsReport = document.getElementById('diagnostics-report');
+
+var DIAGNOSTICS_ELEMENT_LABELS = {
+  joinButton: 'Join button',
+  micToggle: 'Mic toggle',
+  cameraToggle: 'Camera toggle',
+  callControls: 'Call controls',
+  leaveButton: 'Leave call button',
+  micPicker: 'Microphone menu',
+  speakerPicker: 'Speaker menu',
+  cameraPicker: 'Camera menu',
+};
+
+/**
+ * Formats a diagnostics report from the content script as plain text for bug reports.
+ * @param {object} report - the report returned by the content script
+ * @returns {string} the formatted report
+ */
+function formatDiagnosticsReport(report) {
+  const lines = [
+    `SpeedyMeet ${report.extensionVersion} diagnostics (${report.collectedAt})`,
+    `URL: ${report.url}`,
+    `Page language: ${report.pageLang || 'unknown'}`,
+    `User agent: ${report.userAgent}`,
+    `isPwa(): ${report.isPwa}`,
+    `getCurrentCallStatus(): ${JSON.stringify(report.callStatus)}`,
+    `Auto-join countdown active: ${report.countdownActive}`,
+    '',
+    'Elements:',
+  ];
+  Object.keys(DIAGNOSTICS_ELEMENT_LABELS).forEach((key) => {
+    const element = report.elements[key];
+    lines.push(
+      element.found
+        ? `  ${DIAGNOSTICS_ELEMENT_LABELS[key]}: found by ${element.matchedBy}` +
+            ` (text: ${JSON.stringify(element.text)}, aria-label: ${JSON.stringify(element.ariaLabel)})`
+        : `  ${DIAGNOSTICS_ELEMENT_LABELS[key]}: NOT FOUND`,
+    );
+  });
+
+  lines.push('', 'Timed out looking for:');
+  if (!report.selectorTimeouts.length) {
+    lines.push('  nothing');
+  }
+  report.selectorTimeouts.forEach((timeout) => {
+    lines.push(`  ${timeout.name} at ${timeout.at} on ${timeout.url}`);
+  });
+
+  lines.push('', `Buttons on the page (${report.buttons.length}):`);
+  report.buttons.forEach((button) => {
+    lines.push(
+      `  ${JSON.stringify(button.text)} aria-label=${JSON.stringify(button.ariaLabel)}` +
+        (button.disabled ? ' (disabled)' : ''),
+    );
+  });
+  return lines.join('\n');
+}
+
+function showDiagnosticsReport(text) {
+  diagnosticsReport.hidden = false;
+  diagnosticsReport.value = text;
+  diagnosticsCopyButton.disabled = false;
+}
+
+function runDiagnosticsInTab(tabId) {
+  chrome.tabs.sendMessage(tabId, { type: 'RUN_DIAGNOSTICS' }, (report) => {
+    if (chrome.runtime.lastError || !report) {
+      showDiagnosticsReport(
+        'Could not reach SpeedyMeet on that page, try reloading it: ' +
+          (chrome.runtime.lastError ? chrome.runtime.lastError.message : 'no response'),
+      );
+      return;
+    }
+    showDiagnosticsReport(formatDiagnosticsReport(report));
+  });
+}
+
+diagnosticsRunButton.addEventListener('click', () => {
+  chrome.tabs.query({ active: true, currentWindow: true }, ([activeTab]) => {
+    if (activeTab && activeTab.url && activeTab.url.startsWith('https://meet.google.com/')) {
+      runDiagnosticsInTab(activeTab.id);
+      return;
+    }
+    chrome.runtime.sendMessage({ type: 'GET_PWA_WINDOW' }, (pwaWindow) => {
+      if (!pwaWindow) {
+        showDiagnosticsReport('Open a Google Meet tab or the Google Meet PWA and try again.');
+        return;
+      }
+      runDiagnosticsInTab(pwaWindow.tabId);
+    });
+  });
+});
+
+diagnosticsCopyButton.addEventListener('click', () => {
+  navigator.clipboard.writeText(diagnosticsReport.value).then(() => {
+    diagnosticsCopyButton.textContent = 'Copied';
+    setTimeout(() => {
+      diagnosticsCopyButton.textContent = 'Copy report';
+    }, 1500);
+  });
+});
+
+// Calendar import and the upcoming schedule
+var calendarImportButton = document.getElementById('calendar-import');
+var calendarImportFileInput = document.getElementById('calendar-import-file');
+var calendarRemoveButton = document.getElementById('calendar-remove');
+var calendarUrlForm = document.getElementById('calendar-url-form');
+var calendarUrlInput = document.getElementById('calendar-url');
+var calendarLeadMinutesInput = document.getElementById('calendar-lead-minutes');
+var calendarStatus = document.getElementById('calendar-status');
+var calendarUpcoming = document.getElementById('calendar-upcoming');
+
+// the schedule lists this many meetings, this far ahead
+var CALENDAR_DISPLAY_LIMIT = 10;
+var CALENDAR_DISPLAY_DAYS = 7;
+
+bindNumberPreference(calendarLeadMinutesInput, 'calendarLeadMinutes');
+
+function renderCalendar() {
+  getPreferences(
+    [CALENDAR_EVENTS_KEY, CALENDAR_SOURCE_KEY, 'calendarUrl', 'calendarLeadMinutes'],
+    (res) => {
+      calendarUrlInput.value = res.calendarUrl;
+      calendarLeadMinutesInput.value = res.calendarLeadMinutes;
+
+      const source = res[CALENDAR_SOURCE_KEY];
+      const events = res[CALENDAR_EVENTS_KEY] || [];
+      calendarStatus.textContent = source
+        ? `${source.name} · imported ${new Date(source.importedAt).toLocaleString()}`
+        : 'No calendar imported.';
+      calendarRemoveButton.disabled = !source;
+
+      calendarUpcoming.replaceChildren();
+      if (!source) {
+        return;
+      }
+      const now = Date.now();
+      const meetings = getUpcomingMeetings(
+        events,
+        now,
+        now + CALENDAR_DISPLAY_DAYS * 24 * 60 * 60 * 1000,
+      );
+      if (!meetings.length) {
+        const empty = document.createElement('div');
+        empty.className = 'description';
+        empty.textContent = `No Google Meet meetings in the next ${CALENDAR_DISPLAY_DAYS} days.`;
+        calendarUpcoming.appendChild(empty);
+        return;
+      }
+
+      meetings.slice(0, CALENDAR_DISPLAY_LIMIT).forEach((meeting) => {
+        const item = document.createElement('div');
+        item.className = 'rule-item flex-column';
+
+        const title = document.createElement('div');
+        title.className = 'rule-item-name';
+        title.textContent = meeting.title || meeting.meetingCode || meeting.target;
+
+        const meta = document.createElement('div');
+        meta.className = 'history-item-meta';
+        meta.textContent = [
+          new Date(meeting.start).toLocaleString([], {
+            weekday: 'short',
+            hour: 'numeric',
+            minute: '2-digit',
+          }),
+          meeting.meetingCode,
+        ]
+          .filter(Boolean)
+          .join(' · ');
+
+        item.append(title, meta);
+        calendarUpcoming.appendChild(item);
+      });
+    },
+  );
+}
+
+function showCalendarResult(result) {
+  if (!result || !result.success) {
+    calendarStatus.textContent = `Couldn't import the calendar: ${
+      (result && result.error) || 'unknown error'
+    }`;
+    return;
+  }
+  renderCalendar();
+}
+
+renderCalendar();
+
+calendarImportButton.addEventListener('click', () => calendarImportFileInput.click());
+
+calendarImportFileInput.addEventListener('change', () => {
+  const file = calendarImportFileInput.files[0];
+  if (!file) return;
+
+  file.text().then((text) => {
+    chrome.runtime.sendMessage({ type: 'IMPORT_CALENDAR', text, name: file.name }, (result) => {
+      calendarImportFileInput.value = '';
+      showCalendarResult(result);
+    });
+  });
+});
+
+calendarUrlForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  // calendar apps share subscriptions as webcal:// links, served over https
+  const url = calendarUrlInput.value.trim().replace(/^webcal:/i, 'https:');
+  if (!/^https?:\/\/\S+$/i.test(url)) {
+    showCalendarResult({ success: false, error: 'enter the full address, e.g. http://…' });
+    return;
+  }
+  const origin = new URL(url).origin;
+
+  // fetching the calendar needs access to its host, asked for while handling the click
+  chrome.permissions.request({ origins: [`${origin}/*`] }, (granted) => {
+    if (!granted) {
+      showCalendarResult({ success: false, error: `access to ${origin} wasn't granted` });
+      return;
+    }
+    setPreferences({ calendarUrl: url }, () => {
+      chrome.runtime.sendMessage({ type: 'REFRESH_CALENDAR' }, showCalendarResult);
+    });
+  });
+});
+
+calendarRemoveButton.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'REMOVE_CALENDAR' }, renderCalendar);
+});
+
+// Settings sync, export and import
+var syncPreferencesInput = document.getElementById('sync-preferences');
+var syncPreferencesStatus = document.getElementById('sync-preferences-status');
+var preferencesExportButton = document.getElementById('preferences-export');
+var preferencesImportButton = document.getElementById('preferences-import');
+var preferencesImportFileInput = document.getElementById('preferences-import-file');
+var preferencesImportPreview = document.getElementById('preferences-import-preview');
+var preferencesImportSummary = document.getElementById('preferences-import-summary');
+var preferencesImportChanges = document.getElementById('preferences-import-changes');
+var preferencesImportApplyButton = document.getElementById('preferences-import-apply');
+var preferencesImportCancelButton = document.getElementById('preferences-import-cancel');
+
+// preferences read from the import file, waiting for the user to apply them
+var pendingPreferencesImport = null;
+
+/**
+ * Describes a preference value briefly for the import preview.
+ * @param {*} value - the preference value
+ * @returns {string} e.g. "true", "10" or "3 items"
+ */
+function describePreferenceValue(value) {
+  if (value === undefined) return 'not set';
+  if (Array.isArray(value)) return `${value.length} items`;
+  if (value && typeof value === 'object') return `${Object.keys(value).length} entries`;
+  return JSON.stringify(value);
+}
+
+function hidePreferencesImportPreview() {
+  pendingPreferencesImport = null;
+  preferencesImportFileInput.value = '';
+  preferencesImportPreview.hidden = true;
+}
+
+/**
+ * Shows what importing would change before anything is saved.
+ * @param {{preferences: Object, errors: string[]}} result - the validated import
+ */
+function showPreferencesImportPreview({ preferences, errors }) {
+  getPreferences(Object.keys(preferences), (current) => {
+    const changes = Object.keys(preferences).filter(
+      (key) => JSON.stringify(current[key]) !== JSON.stringify(preferences[key]),
+    );
+
+    preferencesImportChanges.replaceChildren(
+      ...changes.map((key) => {
+        const item = document.createElement('li');
+        item.textContent = `${key}: ${describePreferenceValue(current[key])} → ${describePreferenceValue(preferences[key])}`;
+        return item;
+      }),
+      ...errors.map((error) => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        return item;
+      }),
+    );
+    preferencesImportSummary.textContent = changes.length
+      ? `Importing will change ${changes.length} setting${changes.length === 1 ? '' : 's'}:`
+      : 'Importing would not change any settings.';
+
+    pendingPreferencesImport = changes.length
+      ? Object.fromEntries(changes.map((key) => [key, preferences[key]]))
+      : null;
+    preferencesImportApplyButton.disabled = !pendingPreferencesImport;
+    preferencesImportPreview.hidden = false;
+  });
+}
+
+chrome.storage.local.get([SYNC_PREFERENCES_KEY], (res) => {
+  syncPreferencesInput.checked = !!res[SYNC_PREFERENCES_KEY];
+});
+
+syncPreferencesInput.addEventListener('click', (e) => {
+  const enabled = e.target.checked;
+  syncPreferencesInput.disabled = true;
+  setPreferencesSynced(enabled, (result) => {
+    if (result.success) {
+      // settings shown may have come from another machine, so reload them
+      location.reload();
+      return;
+    }
+    syncPreferencesInput.checked = !enabled;
+    syncPreferencesInput.disabled = false;
+    syncPreferencesStatus.textContent = `Couldn't turn ${enabled ? 'on' : 'off'} sync: ${
+      result.error
+    }`;
+    syncPreferencesStatus.hidden = false;
+  });
+});
+
+preferencesExportButton.addEventListener('click', () => {
+  getPreferences(Object.keys(PREFERENCE_SCHEMA), (preferences) => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `speedymeet-settings-${date}.json`,
+      'application/json',
+      JSON.stringify(
+        { version: PREFERENCES_EXPORT_VERSION, exportedAt: Date.now(), preferences },
+        null,
+        2,
+      ),
+    );
+  });
+});
+
+preferencesImportButton.addEventListener('click', () => preferencesImportFileInput.click());
+
+preferencesImportFileInput.addEventListener('change', () => {
+  const file = preferencesImportFileInput.files[0];
+  if (!file) return;
+
+  file.text().then((text) => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      showPreferencesImportPreview({ preferences: {}, errors: ['The file is not valid JSON'] });
+      return;
+    }
+    showPreferencesImportPreview(validatePreferences(data));
+  });
+});
+
+preferencesImportApplyButton.addEventListener('click', () => {
+  if (!pendingPreferencesImport) return;
+  setPreferences(pendingPreferencesImport, () => location.reload());
+});
+
+preferencesImportCancelButton.addEventListener('click', hidePreferencesImportPreview);
+
+// Status panel, drawn from the state background.js keeps on the PWA, its call and the queue
+var STATUS_REFRESH_MS = 1000;
+var statusDetails = document.getElementById('status-details');
+var statusFocusButton = document.getElementById('status-focus-pwa');
+var statusLeaveButton = document.getElementById('status-leave-call');
+var meetStatus = null;
+
+// e.g. "4:05" or "1:02:09"
+function formatElapsed(elapsedMs) {
+  const seconds = Math.max(0, Math.floor(elapsedMs / 1000));
+  const pad = (value) => String(value).padStart(2, '0');
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor(seconds / 60) % 60;
+  return hours
+    ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}`
+    : `${minutes}:${pad(seconds % 60)}`;
+}
+
+function renderStatus() {
+  statusDetails.replaceChildren();
+  if (!meetStatus) {
+    return;
+  }
+
+  const { meetWindow, call, queuedCount, pendingHandoff, doNotDisturb } = meetStatus;
+  const rows = [];
+  if (!meetWindow) {
+    rows.push('Google Meet PWA not open');
+  } else {
+    rows.push(meetWindow.type === 'app' ? 'Google Meet PWA open' : 'Meet window open');
+  }
+  rows.push(
+    call
+      ? `On a call: ${call.meetingCode} · ${formatElapsed(Date.now() - call.joinedAt)}`
+      : 'Not on a call',
+  );
+  if (queuedCount) {
+    rows.push(`${queuedCount} queued ${queuedCount === 1 ? 'meeting' : 'meetings'}`);
+  }
+  if (pendingHandoff) {
+    rows.push(
+      `Opening in the PWA: ${pendingHandoff.title || pendingHandoff.meetingCode || 'landing page'}`,
+    );
+  }
+  if (doNotDisturb.until) {
+    const until = new Date(doNotDisturb.until).toLocaleTimeString([], {
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+    rows.push(`Do not disturb until ${until}`);
+  } else if (doNotDisturb.active) {
+    rows.push(doNotDisturb.enabled ? 'Do not disturb' : 'Do not disturb while on a call');
+  }
+
+  rows.forEach((text) => {
+    const row = document.createElement('div');
+    row.textContent = text;
+    statusDetails.appendChild(row);
+  });
+  statusFocusButton.disabled = !meetWindow;
+  statusLeaveButton.disabled = !call;
+  dndEnabledInput.checked = doNotDisturb.enabled;
+}
+
+function refreshStatus() {
+  chrome.runtime.sendMessage({ type: 'GET_MEET_STATUS' }, (status) => {
+    meetStatus = status || null;
+    renderStatus();
+  });
+}
+
+refreshStatus();
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (
+    areaName === 'session' ||
+    (areaName === 'local' && (changes.meetingQueue || changes.doNotDisturb)) ||
+    changes.dndDuringCalls
+  ) {
+    refreshStatus();
+  }
+});
+// keeps the time on the call ticking
+setInterval(renderStatus, STATUS_REFRESH_MS);
+
+statusFocusButton.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'FOCUS_PWA' });
+});
+
+statusLeaveButton.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'LEAVE_CALL' }, (response) => {
+    if (!response || !response.success) {
+      statusLeaveButton.textContent = 'Leave button not found';
+      setTimeout(() => {
+        statusLeaveButton.textContent = 'Leave call';
+      }, 1500);
+    }
+  });
+});
+
+// Do not disturb, turned on here, with its shortcut, or by being on a call
+var dndEnabledInput = document.getElementById('dnd-enabled');
+var dndDurationInput = document.getElementById('dnd-duration');
+var dndActionInput = document.getElementById('dnd-action');
+var dndDuringCallsInput = document.getElementById('dnd-during-calls');
+
+function saveDoNotDisturb() {
+  chrome.runtime.sendMessage(
+    {
+      type: 'SET_DO_NOT_DISTURB',
+      enabled: dndEnabledInput.checked,
+      minutes: Number(dndDurationInput.value) || null,
+    },
+    refreshStatus,
+  );
+}
+
+getPreferences(['dndAction', 'dndDuringCalls'], (res) => {
+  dndActionInput.value = res.dndAction;
+  dndDuringCallsInput.checked = res.dndDuringCalls;
+});
+
+dndEnabledInput.addEventListener('click', saveDoNotDisturb);
+
+// picking another duration while it is on starts it over for that long
+dndDurationInput.addEventListener('change', () => {
+  if (dndEnabledInput.checked) {
+    saveDoNotDisturb();
+  }
+});
+
+dndActionInput.addEventListener('change', (e) => {
+  setPreferences({ dndAction: e.target.value });
 });
 
-ttsIntervalInput.addEventListener('change', (e) => {
-  let v = parseInt(e.target.value, 10);
-  if (isNaN(v) || v < 1) v = 1;
-  if (v > 30) v = 30;
-  ttsIntervalInput.value = v;
-  chrome.storage.local.set({ ttsAnnouncementInterval: v });
+dndDuringCallsInput.addEventListener('click', (e) => {
+  setPreferences({ dndDuringCalls: e.target.checked });
 });
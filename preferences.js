@@ -0,0 +1,424 @@
+/*
+ * preferences.js is the one place user preferences are defined. PREFERENCE_SCHEMA holds the type,
+ * default and allowed values of each, and every read and write through getPreferences and
+ * setPreferences is validated against it. Preferences live in chrome.storage.local unless the
+ * user turns on syncing in the popup, in which case they are kept in chrome.storage.sync and
+ * follow them to other machines; runtime state (redirect sessions, the meeting queue, history) is
+ * always kept local. Stored data from older versions is upgraded by PREFERENCE_MIGRATIONS.
+ * Loaded by background.js, ahead of contentScript.js and by the popup.
+ */
+
+// kept in chrome.storage.local, so each machine decides whether it syncs
+const SYNC_PREFERENCES_KEY = 'syncPreferences';
+
+// kept in chrome.storage.local, the last of PREFERENCE_MIGRATIONS applied to this machine
+const PREFERENCES_VERSION_KEY = 'preferencesVersion';
+
+// format version written into exported preference files
+const PREFERENCES_EXPORT_VERSION = 1;
+
+// storage keys the pre-session redirect handoff signalled through, no longer read
+const LEGACY_STORAGE_KEYS = [
+  'originatingTabId',
+  'queryParams',
+  'source',
+  'googleMeetOpenedUrl',
+  'googleMeetDeclinedUrl',
+];
+
+// e.g. a rule's match, which JSON and storage give back as a plain object
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/*
+ * Checks for the entries of array and object preferences, each returning what is wrong with an
+ * entry or null when it is fine.
+ */
+const PREFERENCE_ENTRY_CHECKS = {
+  // exclusions, allowlisted senders, device labels and phrase templates
+  text(entry) {
+    return typeof entry === 'string' ? null : 'should be text';
+  },
+  accountRoute(route) {
+    if (!isPlainObject(route)) return 'should be an object';
+    if (typeof route.codes !== 'string') return '"codes" should be text';
+    if (
+      typeof route.authUser !== 'string' ||
+      !PREFERENCE_SCHEMA.defaultAuthUser.pattern.test(route.authUser)
+    ) {
+      return '"authUser" should be an account index';
+    }
+    return null;
+  },
+  // rule overrides are checked like the settings they replace, see RULE_OVERRIDE_KEYS in rules.js
+  meetingRule(rule) {
+    if (!isPlainObject(rule)) return 'should be an object';
+    if (
+      !isPlainObject(rule.match) ||
+      typeof rule.match.type !== 'string' ||
+      typeof rule.match.value !== 'string'
+    ) {
+      return '"match" should have a type and a value';
+    }
+    if (rule.overrides === undefined) return null;
+    if (!isPlainObject(rule.overrides)) return '"overrides" should be an object';
+    const invalid = RULE_OVERRIDE_KEYS.find(
+      (key) =>
+        rule.overrides[key] !== undefined &&
+        rule.overrides[key] !== null &&
+        !validatePreference(key, rule.overrides[key]).valid,
+    );
+    return invalid ? `"${invalid}" can't be ${JSON.stringify(rule.overrides[invalid])}` : null;
+  },
+};
+
+/*
+ * Every preference: its type ('boolean', 'number', 'string', 'array' or 'object'), its default,
+ * for numbers the range (whole numbers unless `decimal`), for strings the allowed `values`
+ * or `pattern`, and for arrays and objects the `entry` check, from PREFERENCE_ENTRY_CHECKS, each
+ * of their entries has to pass.
+ */
+const PREFERENCE_SCHEMA = {
+  disableMic: { type: 'boolean', default: false },
+  disableVideo: { type: 'boolean', default: false },
+  autoJoin: { type: 'boolean', default: false },
+  countdownDuration: { type: 'number', default: 10, min: 5, max: 60 },
+  ttsAnnouncementInterval: { type: 'number', default: 5, min: 1, max: 30 },
+  snoozeMinutes: { type: 'number', default: 5, min: 1, max: 60 },
+  lobbyTimeoutMinutes: { type: 'number', default: 5, min: 1, max: 30 },
+  lobbyTimeoutAction: { type: 'string', default: 'alert', values: ['alert', 'retry'] },
+  postCallAction: {
+    type: 'string',
+    default: 'none',
+    values: ['none', 'landing', 'joinNext', 'minimize'],
+  },
+  autoLeaveAloneMinutes: { type: 'number', default: 0, min: 0, max: 120 },
+  silentMode: { type: 'boolean', default: false },
+  ttsVoiceName: { type: 'string', default: '' },
+  ttsRate: { type: 'number', default: 1, min: 0.5, max: 2, decimal: true },
+  ttsPitch: { type: 'number', default: 1, min: 0.5, max: 2, decimal: true },
+  ttsVolume: { type: 'number', default: 1, min: 0.1, max: 1, decimal: true },
+  ttsPhrases: { type: 'object', default: {}, entry: PREFERENCE_ENTRY_CHECKS.text },
+  preserveOriginatingAccount: { type: 'boolean', default: true },
+  defaultAuthUser: { type: 'string', default: '0', pattern: /^\d$/ },
+  accountRoutes: { type: 'array', default: [], entry: PREFERENCE_ENTRY_CHECKS.accountRoute },
+  meetingRules: { type: 'array', default: [], entry: PREFERENCE_ENTRY_CHECKS.meetingRule },
+  // open meetings in a popup window when the PWA isn't installed
+  meetWindowFallback: { type: 'boolean', default: false },
+  // meeting codes and URL patterns never redirected to the PWA, see findRedirectExclusion
+  redirectExclusions: {
+    type: 'array',
+    default: ['https://meet.google.com/landing*'],
+    entry: PREFERENCE_ENTRY_CHECKS.text,
+  },
+  // address of an ICS calendar to open meetings from, fetched again every so often
+  calendarUrl: { type: 'string', default: '', pattern: /^(https?:\/\/\S+)?$/ },
+  // how long before a calendar meeting starts it is opened in the PWA
+  calendarLeadMinutes: { type: 'number', default: 1, min: 0, max: 30 },
+  // extension ids and local page origins allowed to use the external API, see externalApi.js
+  externalAllowlist: { type: 'array', default: [], entry: PREFERENCE_ENTRY_CHECKS.text },
+  // what happens to incoming meetings while do not disturb is on, see DND_ACTIONS in background.js
+  dndAction: { type: 'string', default: 'queue', values: ['queue', 'stayInTab', 'decline'] },
+  // turn do not disturb on for as long as the PWA is on a call
+  dndDuringCalls: { type: 'boolean', default: false },
+  // device labels, or parts of them, in order of preference; the first one plugged in is picked on
+  // the pre-join screen
+  preferredMics: { type: 'array', default: [], entry: PREFERENCE_ENTRY_CHECKS.text },
+  preferredSpeakers: { type: 'array', default: [], entry: PREFERENCE_ENTRY_CHECKS.text },
+  preferredCameras: { type: 'array', default: [], entry: PREFERENCE_ENTRY_CHECKS.text },
+};
+
+/*
+ * Upgrades for data stored by older versions, applied in order on install and update. Each takes
+ * a callback to call once done; add new ones at the end with the next version number.
+ */
+const PREFERENCE_MIGRATIONS = [
+  {
+    version: 1,
+    // drops the old handoff keys and rewrites stored preferences through the schema, fixing
+    // values older popups saved unchecked, such as an out-of-range countdown
+    migrate(done) {
+      chrome.storage.local.remove(LEGACY_STORAGE_KEYS, () => {
+        getPreferenceArea((area) => {
+          area.get(Object.keys(PREFERENCE_SCHEMA), (stored) => {
+            const cleaned = {};
+            Object.keys(stored).forEach((key) => {
+              cleaned[key] = validatePreference(key, stored[key]).value;
+            });
+            area.set(cleaned, done);
+          });
+        });
+      });
+    },
+  },
+];
+
+/**
+ * Gets a preference's default, copied so callers can't change the schema's.
+ * @param {string} key - the preference
+ * @returns {*} the default value
+ */
+function getPreferenceDefault(key) {
+  const value = PREFERENCE_SCHEMA[key].default;
+  if (Array.isArray(value)) return [...value];
+  if (value && typeof value === 'object') return { ...value };
+  return value;
+}
+
+// e.g. "a number", "an object"
+function withArticle(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/**
+ * Validates a preference value against PREFERENCE_SCHEMA. Numbers (numeric strings included) are
+ * clamped to their range and malformed entries of arrays and objects dropped; anything else that
+ * doesn't fit falls back to the default.
+ * @param {string} key - the preference
+ * @param {*} value - the value to check, undefined or null meaning unset
+ * @returns {{value: *, valid: boolean, error: string|undefined}} the value to use, whether the
+ * given value was usable at all, and what had to be changed about it
+ */
+function validatePreference(key, value) {
+  const schema = PREFERENCE_SCHEMA[key];
+  if (value === undefined || value === null) {
+    return { value: getPreferenceDefault(key), valid: true };
+  }
+
+  if (schema.type === 'number') {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || isNaN(number)) {
+      return {
+        value: getPreferenceDefault(key),
+        valid: false,
+        error: `"${key}" should be a number`,
+      };
+    }
+    const clamped = Math.min(Math.max(number, schema.min), schema.max);
+    const rounded = schema.decimal ? Math.round(clamped * 10) / 10 : Math.round(clamped);
+    return {
+      value: rounded,
+      valid: true,
+      error:
+        clamped !== number
+          ? `"${key}" should be between ${schema.min} and ${schema.max}, using ${rounded}`
+          : undefined,
+    };
+  }
+
+  const type = Array.isArray(value) ? 'array' : typeof value;
+  if (type !== schema.type) {
+    return {
+      value: getPreferenceDefault(key),
+      valid: false,
+      error: `"${key}" should be ${withArticle(schema.type)}, got ${withArticle(type)}`,
+    };
+  }
+  if (
+    (schema.values && !schema.values.includes(value)) ||
+    (schema.pattern && !schema.pattern.test(value))
+  ) {
+    return { value: getPreferenceDefault(key), valid: false, error: `"${key}" can't be ${value}` };
+  }
+  if (schema.entry) {
+    const entries = Object.entries(value);
+    const problems = entries
+      .map(([name, entry]) => [name, schema.entry(entry)])
+      .filter(([, problem]) => problem);
+    if (problems.length) {
+      const kept = entries.filter(([, entry]) => !schema.entry(entry));
+      return {
+        value: type === 'array' ? kept.map(([, entry]) => entry) : Object.fromEntries(kept),
+        valid: true,
+        error: `Dropped invalid "${key}" entries: ${problems
+          .map(([name, problem]) => `${name}: ${problem}`)
+          .join(', ')}`,
+      };
+    }
+  }
+  return { value, valid: true };
+}
+
+/**
+ * Applies the migrations this machine hasn't run yet, in order.
+ * @param {function(): void} [callback] - called once stored data is up to date
+ */
+function migratePreferences(callback) {
+  chrome.storage.local.get([PREFERENCES_VERSION_KEY], (res) => {
+    const pending = PREFERENCE_MIGRATIONS.filter(
+      (migration) => migration.version > (res[PREFERENCES_VERSION_KEY] || 0),
+    );
+
+    const next = () => {
+      const migration = pending.shift();
+      if (!migration) {
+        if (callback) callback();
+        return;
+      }
+      console.log(`Migrating preferences to version ${migration.version}`);
+      migration.migrate(() => {
+        chrome.storage.local.set({ [PREFERENCES_VERSION_KEY]: migration.version }, next);
+      });
+    };
+    next();
+  });
+}
+
+/**
+ * Checks whether a storage key holds a preference rather than runtime state.
+ * @param {string} key - the storage key
+ * @returns {boolean} true for preferences
+ */
+function isPreferenceKey(key) {
+  return Object.prototype.hasOwnProperty.call(PREFERENCE_SCHEMA, key);
+}
+
+/**
+ * Finds the storage area preferences are currently kept in.
+ * @param {function(chrome.storage.StorageArea): void} callback - called with chrome.storage.sync
+ * when syncing is on, chrome.storage.local otherwise
+ */
+function getPreferenceArea(callback) {
+  chrome.storage.local.get([SYNC_PREFERENCES_KEY], (res) => {
+    callback(res[SYNC_PREFERENCES_KEY] ? chrome.storage.sync : chrome.storage.local);
+  });
+}
+
+/**
+ * Reads storage keys like chrome.storage.local.get, taking preferences from wherever they are
+ * kept and everything else from chrome.storage.local. Preferences always come back validated,
+ * unset ones as their default.
+ * @param {string[]} keys - the keys to read, preferences and runtime state alike
+ * @param {function(Object): void} callback - called with the values by key
+ */
+function getPreferences(keys, callback) {
+  const preferenceKeys = keys.filter(isPreferenceKey);
+  const localKeys = keys.filter((key) => !isPreferenceKey(key));
+
+  getPreferenceArea((area) => {
+    area.get(preferenceKeys, (stored) => {
+      const preferences = {};
+      preferenceKeys.forEach((key) => {
+        const { value, error } = validatePreference(key, stored[key]);
+        if (error) {
+          console.warn('Stored preference is invalid:', error);
+        }
+        preferences[key] = value;
+      });
+
+      if (!localKeys.length) {
+        callback(preferences);
+        return;
+      }
+      chrome.storage.local.get(localKeys, (local) => {
+        callback({ ...local, ...preferences });
+      });
+    });
+  });
+}
+
+/**
+ * Validates preferences and writes them to wherever they are kept. Keys that aren't preferences
+ * are skipped.
+ * @param {Object} items - preference values by key
+ * @param {function(Object): void} [callback] - called once written, with the values as saved
+ */
+function setPreferences(items, callback) {
+  const saved = {};
+  Object.entries(items).forEach(([key, value]) => {
+    if (!isPreferenceKey(key)) {
+      console.warn(`Not saving "${key}", it isn't a preference`);
+      return;
+    }
+    const validated = validatePreference(key, value);
+    if (validated.error) {
+      console.warn('Saving adjusted preference:', validated.error);
+    }
+    saved[key] = validated.value;
+  });
+
+  getPreferenceArea((area) => {
+    area.set(saved, () => {
+      if (chrome.runtime.lastError) {
+        // most likely the chrome.storage.sync quota
+        console.warn('Failed to save preferences:', chrome.runtime.lastError.message);
+      }
+      if (callback) callback(saved);
+    });
+  });
+}
+
+/**
+ * Turns syncing preferences on or off, carrying them over to the other storage area. Turning it
+ * on keeps any preferences already synced from another machine, filling in the rest from this
+ * one; turning it off keeps a local copy of the synced ones. If they can't be written, e.g. past
+ * the chrome.storage.sync quota, the setting is left as it was.
+ * @param {boolean} enabled - whether preferences should be synced
+ * @param {function({success: boolean, error?: string}): void} [callback] - called once the
+ * preferences are moved, or with the error that kept them from moving
+ */
+function setPreferencesSynced(enabled, callback) {
+  const keys = Object.keys(PREFERENCE_SCHEMA);
+  chrome.storage.local.get(keys, (local) => {
+    chrome.storage.sync.get(keys, (synced) => {
+      const done = () => {
+        if (chrome.runtime.lastError) {
+          const error = chrome.runtime.lastError.message;
+          console.warn('Failed to move preferences:', error);
+          if (callback) callback({ success: false, error });
+          return;
+        }
+        chrome.storage.local.set({ [SYNC_PREFERENCES_KEY]: enabled }, () => {
+          if (callback) callback({ success: true });
+        });
+      };
+      if (enabled) {
+        chrome.storage.sync.set({ ...local, ...synced }, done);
+      } else {
+        chrome.storage.local.set(synced, done);
+      }
+    });
+  });
+}
+
+/**
+ * Checks a parsed preferences export before it is imported.
+ * @param {*} data - the parsed JSON file
+ * @returns {{preferences: Object, errors: string[]}} the valid preferences, and what was wrong with
+ * the rest of the file
+ */
+function validatePreferences(data) {
+  const preferences = {};
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { preferences, errors: ['The file is not a SpeedyMeet settings export'] };
+  }
+  if (data.version !== PREFERENCES_EXPORT_VERSION) {
+    errors.push(`Unsupported export version: ${data.version}`);
+    return { preferences, errors };
+  }
+  if (!data.preferences || typeof data.preferences !== 'object') {
+    errors.push('The file has no preferences');
+    return { preferences, errors };
+  }
+
+  Object.entries(data.preferences).forEach(([key, value]) => {
+    if (!isPreferenceKey(key)) {
+      errors.push(`Unknown setting "${key}" skipped`);
+      return;
+    }
+    const { value: validValue, valid, error } = validatePreference(key, value);
+    if (!valid) {
+      errors.push(`${error}; skipped`);
+      return;
+    }
+    if (error) {
+      errors.push(error);
+    }
+    preferences[key] = validValue;
+  });
+
+  return { preferences, errors };
+}
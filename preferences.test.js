@@ -0,0 +1,55 @@
+/*
+ * Checks malformed preferences, as an import or another machine's sync may hand them over, are
+ * cleaned up before anything reads them.
+ */
+
+const assert = require('node:assert');
+const test = require('node:test');
+const { loadScripts } = require('./testContext');
+
+const context = loadScripts(['meetUrl.js', 'rules.js', 'preferences.js'], { URL });
+
+/**
+ * Validates an export holding the given preferences.
+ * @param {Object} preferences - the preferences in the file
+ * @returns {{preferences: Object, errors: string[]}} the result, copied out of the context
+ */
+function validate(preferences) {
+  const result = context.validatePreferences({ version: 1, preferences });
+  return JSON.parse(JSON.stringify(result));
+}
+
+test('account routes without codes are dropped', () => {
+  const route = { id: 'a', codes: 'abc-defg-hij', authUser: '1' };
+  const { preferences, errors } = validate({ accountRoutes: [{ codes: 5 }, route] });
+  assert.deepStrictEqual(preferences.accountRoutes, [route]);
+  assert.strictEqual(errors.length, 1);
+});
+
+test('meeting rules with a malformed match or overrides are dropped', () => {
+  const rule = {
+    id: 'b',
+    enabled: true,
+    match: { type: 'meetingCode', value: 'abc-defg-hij' },
+    overrides: { disableMic: true, countdownDuration: 30 },
+  };
+  const { preferences, errors } = validate({
+    meetingRules: [
+      { enabled: true, match: { type: 'meetingCode', value: 7 } },
+      { ...rule, overrides: { countdownDuration: 'soon' } },
+      rule,
+    ],
+  });
+  assert.deepStrictEqual(preferences.meetingRules, [rule]);
+  assert.strictEqual(errors.length, 1);
+});
+
+test('phrases that are not text are dropped', () => {
+  const { preferences } = validate({ ttsPhrases: { joining: 3, admitted: 'In' } });
+  assert.deepStrictEqual(preferences.ttsPhrases, { admitted: 'In' });
+});
+
+test('string lists keep only text', () => {
+  const { preferences } = validate({ redirectExclusions: ['abc-defg-hij', null, {}] });
+  assert.deepStrictEqual(preferences.redirectExclusions, ['abc-defg-hij']);
+});
@@ -0,0 +1,135 @@
+/*
+ * rules.js is the per-meeting rules engine. Rules are kept in order with the other preferences and
+ * the first enabled rule matching a meeting URL overrides the global join settings for that
+ * meeting, its values validated like the settings they replace (see preferences.js). It also
+ * matches Meet URLs against the list of pages never to redirect. It is loaded ahead of
+ * contentScript.js, by the popup's rule editor and by background.js, after meetUrl.js.
+ */
+
+const MEETING_RULES_KEY = 'meetingRules';
+
+const RULE_MATCH_TYPES = {
+  MEETING_CODE: 'meetingCode',
+  URL_PATTERN: 'urlPattern',
+  AUTHUSER: 'authuser',
+};
+
+// an exclusion list entry that is just a meeting code
+const MEETING_CODE_ONLY_REGEX = /^[a-z0-9]{3,5}-[a-z0-9]{3,5}-[a-z0-9]{3,5}$/i;
+
+// settings a rule is allowed to override
+const RULE_OVERRIDE_KEYS = [
+  'disableMic',
+  'disableVideo',
+  'autoJoin',
+  'countdownDuration',
+  'ttsAnnouncementInterval',
+  'preferredMics',
+  'preferredSpeakers',
+  'preferredCameras',
+];
+
+/**
+ * Converts a URL pattern where "*" matches anything into a case-insensitive regular expression.
+ * @param {string} pattern - the pattern, e.g. "https://meet.google.com/*authuser=1*"
+ * @returns {RegExp} the equivalent regular expression
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + escaped + '$', 'i');
+}
+
+/**
+ * Checks whether a rule applies to a meeting URL.
+ * @param {object} rule - the rule to check
+ * @param {string} url - the meeting URL
+ * @returns {boolean} true if the rule is enabled and matches
+ */
+function ruleMatchesUrl(rule, url) {
+  const value = ((rule.match && rule.match.value) || '').trim();
+  if (!rule.enabled || !value) {
+    return false;
+  }
+
+  switch (rule.match.type) {
+    case RULE_MATCH_TYPES.MEETING_CODE: {
+      // a rule can list several meeting codes separated by commas or spaces
+      const meetingCode = getMeetingCode(url);
+      return !!meetingCode && parseMeetingCodes(value).includes(meetingCode);
+    }
+    case RULE_MATCH_TYPES.URL_PATTERN:
+      return globToRegExp(value).test(url);
+    case RULE_MATCH_TYPES.AUTHUSER:
+      // Meet uses the first account when the URL doesn't pick one
+      return (getAuthUser(url) || '0') === value;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Finds the first rule that applies to a meeting URL.
+ * @param {Array<object>} rules - the ordered rules
+ * @param {string} url - the meeting URL
+ * @returns {object|null} the matching rule, or null if none match
+ */
+function findMatchingRule(rules, url) {
+  return (rules || []).find((rule) => ruleMatchesUrl(rule, url)) || null;
+}
+
+/**
+ * Finds the exclusion list entry, if any, that keeps a Meet URL from being redirected to the PWA.
+ * Entries are meeting codes, or URL patterns where "*" matches anything, with or without the
+ * "https://".
+ * @param {Array<string>} exclusions - the exclusion list
+ * @param {string} url - the Meet URL
+ * @returns {string|null} the matching entry, or null if the URL isn't excluded
+ */
+function findRedirectExclusion(exclusions, url) {
+  const meetingCode = getMeetingCode(url);
+  const urlWithoutScheme = url.replace(/^https?:\/\//i, '');
+  return (
+    (exclusions || []).find((entry) => {
+      const value = typeof entry === 'string' ? entry.trim() : '';
+      if (!value) {
+        return false;
+      }
+      if (MEETING_CODE_ONLY_REGEX.test(value)) {
+        return value.toLowerCase() === meetingCode;
+      }
+      const pattern = globToRegExp(value);
+      return pattern.test(url) || pattern.test(urlWithoutScheme);
+    }) || null
+  );
+}
+
+/**
+ * Applies overrides of RULE_OVERRIDE_KEYS on top of settings, skipping unset ones.
+ * @param {object} settings - the settings to override
+ * @param {object|undefined} overrides - the values to use instead, by setting
+ * @returns {object} a copy of the settings with the overrides applied
+ */
+function applySettingOverrides(settings, overrides) {
+  const resolved = { ...settings };
+  RULE_OVERRIDE_KEYS.forEach((key) => {
+    if (overrides && overrides[key] !== undefined && overrides[key] !== null) {
+      resolved[key] = validatePreference(key, overrides[key]).value;
+    }
+  });
+  return resolved;
+}
+
+/**
+ * Applies the first matching rule's overrides on top of the global settings.
+ * @param {object} settings - the global settings
+ * @param {Array<object>} rules - the ordered rules
+ * @param {string} url - the meeting URL
+ * @returns {{settings: object, rule: object|null}} the settings for the meeting and the rule used
+ */
+function resolveMeetingSettings(settings, rules, url) {
+  const rule = findMatchingRule(rules, url);
+  return { settings: rule ? applySettingOverrides(settings, rule.overrides) : settings, rule };
+}
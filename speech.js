@@ -0,0 +1,94 @@
+/*
+ * speech.js holds the phrases SpeedyMeet speaks. Each phrase is a template with {placeholders};
+ * the popup lets users rewrite them and stores the edited ones under TTS_PHRASES_KEY, anything
+ * left empty falling back to the default here. It is loaded ahead of contentScript.js and by the
+ * popup's voice settings.
+ */
+
+const TTS_PHRASES_KEY = 'ttsPhrases';
+
+// placeholders every phrase may use, filled in from the meeting the phrase is spoken on
+const TTS_PLACEHOLDERS = {
+  code: 'the meeting code',
+  seconds: 'seconds left on the countdown',
+};
+
+// label shown in the popup, default template and any placeholders specific to the phrase
+const TTS_PHRASES = {
+  countdownStart: {
+    label: 'Countdown starts',
+    template: 'Auto-joining meeting in {seconds} seconds',
+  },
+  countdownTick: {
+    label: 'Countdown reminder',
+    template: 'Auto-joining in {seconds} seconds',
+  },
+  countdownPaused: {
+    label: 'Countdown paused',
+    template: 'Auto-join paused',
+  },
+  countdownResumed: {
+    label: 'Countdown resumed',
+    template: 'Auto-join resumed, joining in {seconds} seconds',
+  },
+  countdownCancelled: {
+    label: 'Countdown cancelled',
+    template: 'Auto-join cancelled',
+  },
+  joining: {
+    label: 'Joining',
+    template: 'Joining meeting now',
+  },
+  joinButtonChanged: {
+    label: 'Join button changed',
+    template: 'The join button changed to {button}',
+    placeholders: { button: 'the new button text, e.g. "Ask to join"' },
+  },
+  admitted: {
+    label: 'Let in from the lobby',
+    template: "You've been admitted",
+  },
+  denied: {
+    label: 'Request to join denied',
+    template: 'Your request was denied',
+  },
+  lobbyRetry: {
+    label: 'Asking to join again',
+    template: 'Nobody has let you in yet, asking to join again',
+  },
+  lobbyTimeout: {
+    label: 'Nobody let you in',
+    template: 'Nobody has let you in after {minutes} minutes',
+    placeholders: { minutes: 'how long you waited' },
+  },
+  leavingAlone: {
+    label: 'Leaving an empty call',
+    template: "Leaving the meeting, you've been alone for {minutes} minutes",
+    placeholders: { minutes: 'how long you were alone' },
+  },
+};
+
+/**
+ * Picks the template to speak for a phrase, preferring the user's edited one.
+ * @param {Object<string, string>|undefined} phrases - edited templates by phrase id
+ * @param {string} id - the phrase id, a key of TTS_PHRASES
+ * @returns {string} the template
+ */
+function getPhraseTemplate(phrases, id) {
+  return (phrases && phrases[id]) || TTS_PHRASES[id].template;
+}
+
+/**
+ * Fills in the {placeholders} of a template. Placeholders without a value are dropped.
+ * @param {string} template - e.g. "Auto-joining {code} in {seconds} seconds"
+ * @param {Object<string, string|number|null>} values - placeholder values by name
+ * @returns {string} the text to speak
+ */
+function formatPhrase(template, values) {
+  return template
+    .replace(/\{(\w+)\}/g, (placeholder, name) =>
+      values[name] === undefined || values[name] === null ? '' : String(values[name]),
+    )
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,25 @@
+/*
+ * testContext.js loads the extension's classic scripts for the node tests (npm test). They share
+ * one global scope in the extension, so each test file runs the ones it needs, in load order, in a
+ * context of its own.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Runs classic scripts in a fresh context.
+ * @param {string[]} files - the scripts to run, in load order
+ * @param {Object} [globals] - browser globals the scripts use, e.g. URL
+ * @returns {Object} the context, holding the scripts' top-level functions
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ ...globals });
+  files.forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context);
+  });
+  return context;
+}
+
+module.exports = { loadScripts };